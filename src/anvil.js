@@ -0,0 +1,302 @@
+import './lib/nbt.js';
+import * as pako from './lib/pako.js';
+import readZip, { isZip } from './zip.js';
+import BlockState from './blockstate.js';
+import upgradeBlock from './upgrade.js';
+import { unpackLongArray } from './bitarray.js';
+import BlockVolume from './blockvolume.js';
+
+// Reads an area of a world from Anvil region files (.mca), either given directly or inside a zipped
+// world folder, and turns it into the same block grid the schematic readers produce
+
+const SECTOR_SIZE = 4096;
+const SECTION_SIZE = 16;
+// Chunks written before 20w17a (1.16) let packed values span two longs
+const NON_SPANNING_DATA_VERSION = 2527;
+// Refuse to build grids larger than this unless the caller raises options.maxVolume
+const DEFAULT_MAX_VOLUME = 256 * 256 * 256;
+// How tall the area may be when the Y bounds are left out, before the chunks are read: the height of
+// 1.18+ worlds, from -64 to 319
+const MAX_WORLD_HEIGHT = 384;
+
+const DIMENSION_FOLDERS = {
+    'overworld': 'region',
+    'the_nether': 'DIM-1/region',
+    'the_end': 'DIM1/region'
+};
+
+// Parse the region coordinates from a file name like "r.-1.2.mca"
+function parseRegionName(name) {
+    const match = /(?:^|\/)r\.(-?\d+)\.(-?\d+)\.mca$/.exec(name);
+    return match ? { x: parseInt(match[1], 10), z: parseInt(match[2], 10) } : null;
+}
+
+// Expand the given files into region files, unpacking any zipped world folders
+function getRegionFiles(files, dimension) {
+    const folder = DIMENSION_FOLDERS[dimension];
+    if (folder === undefined) {
+        throw new Error(`Unknown dimension: ${dimension}`);
+    }
+
+    const regions = [];
+    for (const file of files) {
+        if (!isZip(file.data)) {
+            regions.push({ name: file.name, coords: parseRegionName(file.name), data: file.data });
+            continue;
+        }
+        // The world may be at the root of the zip or inside a folder, find it from its level.dat
+        const entries = readZip(file.data);
+        const worldFolders = entries
+            .filter(entry => entry.name === 'level.dat' || entry.name.endsWith('/level.dat'))
+            .map(entry => entry.name.substring(0, entry.name.length - 'level.dat'.length));
+        const regionFolders = (worldFolders.length > 0 ? worldFolders : ['']).map(worldFolder => worldFolder + folder);
+        for (const entry of entries) {
+            const path = entry.name.substring(0, entry.name.lastIndexOf('/'));
+            if (regionFolders.includes(path)) {
+                const coords = parseRegionName(entry.name);
+                if (coords) {
+                    regions.push({ name: entry.name, coords: coords, data: entry.read() });
+                }
+            }
+        }
+    }
+    if (regions.length === 0) {
+        throw new Error(`No region files found for dimension ${dimension}`);
+    }
+    return regions;
+}
+
+function isChunkInBounds(chunkX, chunkZ, bounds) {
+    return chunkX >= bounds.minChunkX && chunkX <= bounds.maxChunkX &&
+        chunkZ >= bounds.minChunkZ && chunkZ <= bounds.maxChunkZ;
+}
+
+// List the chunks a region file holds from its location table, without reading them. Each is
+// { index, start, x, z }, where x and z are the chunk coordinates if the file name tells where the region is
+function listChunks(region) {
+    const data = region.data;
+    if (data.length < SECTOR_SIZE * 2) {
+        // Empty region files are valid, they just have no chunks yet
+        return [];
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    const chunks = [];
+    for (let i = 0; i < 1024; i++) {
+        // The location table holds a 3-byte sector offset and a 1-byte sector count per chunk
+        const sectorOffset = view.getUint32(i * 4) >>> 8;
+        if (sectorOffset === 0) {
+            continue;
+        }
+        chunks.push({
+            index: i,
+            start: sectorOffset * SECTOR_SIZE,
+            x: region.coords ? region.coords.x * 32 + (i & 31) : undefined,
+            z: region.coords ? region.coords.z * 32 + (i >> 5) : undefined
+        });
+    }
+    return chunks;
+}
+
+// Decompress and read a chunk listed by listChunks. Returns null for chunks without blocks yet, and
+// throws for chunks that can't be read
+function readRegionChunk(region, entry) {
+    const data = region.data;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (entry.start + 5 > data.length) {
+        throw new Error('it points past the end of the file');
+    }
+    const length = view.getUint32(entry.start);
+    const compression = data[entry.start + 4];
+    const payload = data.subarray(entry.start + 5, entry.start + 4 + length);
+
+    let uncompressed;
+    if (compression === 1 || compression === 2) {
+        // pako.inflate handles both gzip and zlib
+        uncompressed = pako.inflate(payload);
+    } else if (compression === 3) {
+        uncompressed = payload;
+    } else {
+        throw new Error(`unsupported compression type ${compression}`);
+    }
+    return readChunk(nbt.parseUncompressed(uncompressed).value);
+}
+
+function checkVolume(width, height, length, maxVolume) {
+    if (width * height * length > maxVolume) {
+        throw new Error(`Area of ${width}x${height}x${length} blocks is too large, narrow the chunk or Y bounds (or raise maxVolume)`);
+    }
+}
+
+// Read the sections of a chunk. Handles 1.18+ chunks, and the 1.13-1.17 layout nested under Level
+function readChunk(root) {
+    const level = root.Level ? root.Level.value : root;
+    const sectionsObj = level.sections || level.Sections;
+    if (!level.xPos || !level.zPos || !sectionsObj) {
+        return null;
+    }
+    const dataVersion = root.DataVersion ? root.DataVersion.value : 0;
+
+    const sections = [];
+    for (const section of sectionsObj.value.value) {
+        // Pre-1.18 sections keep Palette and BlockStates directly on the section
+        const blockStates = section.block_states ? section.block_states.value : section;
+        const paletteObj = blockStates.palette || blockStates.Palette;
+        const dataObj = blockStates.data || blockStates.BlockStates;
+        if (!paletteObj || !section.Y) {
+            continue;
+        }
+
+        const palette = paletteObj.value.value.map(entry => upgradeBlock(BlockState.fromCompound(entry), dataVersion));
+        // A single-entry palette has no data, the whole section is that block
+        if (palette.length === 1 && palette[0].name === 'minecraft:air') {
+            continue;
+        }
+        let indices = null;
+        if (palette.length > 1 && dataObj) {
+            const bits = Math.max(4, Math.ceil(Math.log2(palette.length)));
+            const spanning = dataVersion < NON_SPANNING_DATA_VERSION;
+            indices = unpackLongArray(dataObj.value, bits, SECTION_SIZE * SECTION_SIZE * SECTION_SIZE, spanning);
+        }
+        sections.push({ y: section.Y.value, palette, indices });
+    }
+
+    return {
+        x: level.xPos.value,
+        z: level.zPos.value,
+        dataVersion: dataVersion,
+        sections: sections
+    };
+}
+
+// Read an area of a world. files is a list of { name, data } objects, where data is a Uint8Array
+// of either a region file or a zipped world folder. Bounds are given in chunk coordinates
+// (minChunkX, maxChunkX, minChunkZ, maxChunkZ) and block Y (minY, maxY), all inclusive; anything
+// left out is fitted to the loaded chunks. With options.radius, chunk bounds left out are instead set
+// to the chunks within that many chunks of the first one in the files.
+// The size of the area is checked against options.maxVolume before any chunk is decompressed, counting
+// the full world height when the Y bounds are left out. Chunks that can't be read are skipped, and
+// counted in skippedChunks
+export default function readWorld(files, options = {}) {
+    const maxVolume = options.maxVolume !== undefined ? options.maxVolume : DEFAULT_MAX_VOLUME;
+    const regions = getRegionFiles(files, options.dimension || 'overworld').map(region => {
+        return { region, entries: listChunks(region) };
+    });
+    const located = regions.flatMap(({ entries }) => entries.filter(entry => entry.x !== undefined));
+
+    // With a radius, the chunk bounds left out are centred on the first chunk listed
+    const center = options.radius !== undefined ? located[0] : undefined;
+    const getBound = (value, around, open) => {
+        return value !== undefined ? value : center !== undefined ? around : open;
+    };
+    const bounds = {
+        minChunkX: getBound(options.minChunkX, center && center.x - options.radius, -Infinity),
+        maxChunkX: getBound(options.maxChunkX, center && center.x + options.radius, Infinity),
+        minChunkZ: getBound(options.minChunkZ, center && center.z - options.radius, -Infinity),
+        maxChunkZ: getBound(options.maxChunkZ, center && center.z + options.radius, Infinity)
+    };
+
+    // Regions named after their position tell where their chunks are from the location table alone, so
+    // an area that is too large is turned down before decompressing anything. Chunks of other regions
+    // are only known once read, and checked with the rest below
+    const wanted = located.filter(entry => isChunkInBounds(entry.x, entry.z, bounds));
+    if (wanted.length > 0) {
+        const xs = wanted.map(entry => entry.x);
+        const zs = wanted.map(entry => entry.z);
+        const height = options.minY !== undefined && options.maxY !== undefined
+            ? options.maxY - options.minY + 1
+            : MAX_WORLD_HEIGHT;
+        checkVolume((Math.max(...xs) - Math.min(...xs) + 1) * SECTION_SIZE, height,
+            (Math.max(...zs) - Math.min(...zs) + 1) * SECTION_SIZE, maxVolume);
+    }
+
+    const chunks = [];
+    let skippedChunks = 0;
+    for (const { region, entries } of regions) {
+        for (const entry of entries) {
+            if (entry.x !== undefined && !isChunkInBounds(entry.x, entry.z, bounds)) {
+                continue;
+            }
+            let chunk;
+            try {
+                chunk = readRegionChunk(region, entry);
+            } catch (error) {
+                // A corrupt or truncated chunk only loses that chunk
+                console.warn(`Chunk ${entry.index} in ${region.name} could not be read, skipping:`, error.message || error);
+                skippedChunks++;
+                continue;
+            }
+            if (chunk && isChunkInBounds(chunk.x, chunk.z, bounds)) {
+                chunks.push(chunk);
+            }
+        }
+    }
+    if (skippedChunks > 0) {
+        console.warn(`Skipped ${skippedChunks} chunks that could not be read`);
+    }
+    if (chunks.length === 0) {
+        throw new Error('No chunks found within the given bounds');
+    }
+
+    // Fit any open bounds to the chunks we found, and the Y range to the sections with blocks in them
+    const chunkXs = chunks.map(chunk => chunk.x);
+    const chunkZs = chunks.map(chunk => chunk.z);
+    const minChunkX = Math.max(bounds.minChunkX, Math.min(...chunkXs));
+    const maxChunkX = Math.min(bounds.maxChunkX, Math.max(...chunkXs));
+    const minChunkZ = Math.max(bounds.minChunkZ, Math.min(...chunkZs));
+    const maxChunkZ = Math.min(bounds.maxChunkZ, Math.max(...chunkZs));
+    const sectionYs = chunks.flatMap(chunk => chunk.sections.map(section => section.y));
+    if (sectionYs.length === 0 && (options.minY === undefined || options.maxY === undefined)) {
+        throw new Error('No blocks found within the given bounds');
+    }
+    const minY = options.minY !== undefined ? options.minY : Math.min(...sectionYs) * SECTION_SIZE;
+    const maxY = options.maxY !== undefined ? options.maxY : Math.max(...sectionYs) * SECTION_SIZE + SECTION_SIZE - 1;
+
+    const width = (maxChunkX - minChunkX + 1) * SECTION_SIZE;
+    const length = (maxChunkZ - minChunkZ + 1) * SECTION_SIZE;
+    const height = maxY - minY + 1;
+    if (height <= 0) {
+        throw new Error(`Invalid Y range: ${minY} to ${maxY}`);
+    }
+    checkVolume(width, height, length, maxVolume);
+
+    const blocks = new BlockVolume(width, height, length);
+
+    // Copy each section into the volume. Sections index their blocks as (y * 16 + z) * 16 + x
+    for (const chunk of chunks) {
+        const offsetX = (chunk.x - minChunkX) * SECTION_SIZE;
+        const offsetZ = (chunk.z - minChunkZ) * SECTION_SIZE;
+        for (const section of chunk.sections) {
+            const sectionMinY = section.y * SECTION_SIZE;
+            if (sectionMinY > maxY || sectionMinY + SECTION_SIZE - 1 < minY) {
+                continue;
+            }
+            const paletteIndices = section.palette.map(block => blocks.addToPalette(block));
+            for (let i = 0; i < SECTION_SIZE * SECTION_SIZE * SECTION_SIZE; i++) {
+                const y = sectionMinY + (i >> 8) - minY;
+                if (y < 0 || y >= height) {
+                    continue;
+                }
+                const paletteIndex = section.indices ? section.indices[i] : 0;
+                const block = section.palette[paletteIndex];
+                if (block === undefined || block.name === 'minecraft:air') {
+                    continue;
+                }
+                blocks.setPaletteIndex(offsetX + (i & 15), y, offsetZ + ((i >> 4) & 15), paletteIndices[paletteIndex]);
+            }
+        }
+    }
+
+    return {
+        format: 'anvil',
+        dataVersion: Math.max(...chunks.map(chunk => chunk.dataVersion)),
+        width: width,
+        height: height,
+        length: length,
+        offset: [minChunkX * SECTION_SIZE, minY, minChunkZ * SECTION_SIZE],
+        origin: [0, 0, 0],
+        chunks: chunks.length,
+        skippedChunks: skippedChunks,
+        blocks: blocks
+    };
+}
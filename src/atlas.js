@@ -0,0 +1,254 @@
+import * as THREE from './lib/three.js';
+
+// Packs block textures into a few large atlas textures, so whole chunks of blocks can be drawn with one
+// material. Textures are packed in rows on power-of-two pages; each one gets a border of its own edge
+// pixels and is sampled without mipmaps, so neighbours never bleed into each other
+
+const DEFAULT_MAX_SIZE = 4096;
+const DEFAULT_PADDING = 2;
+
+// A canvas to draw on, offscreen where possible (it is the only kind there is in a worker)
+export function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Get the size of the part of a texture models use. Animated textures are a strip of square frames,
+// of which we show the first
+function getFrameSize(texture) {
+    const image = texture.image;
+    if (!image || !image.width || !image.height) {
+        // Not loaded (or failed to), shown as the missing texture
+        return { width: 16, height: 16 };
+    }
+    const height = image.height > image.width && image.height % image.width === 0 ? image.width : image.height;
+    return { width: image.width, height: height };
+}
+
+function nextPowerOfTwo(value) {
+    return Math.pow(2, Math.ceil(Math.log2(Math.max(1, value))));
+}
+
+// Place the rectangles on shelves of a size x size page, in the order given. Returns how many fit
+function packShelves(rects, size) {
+    let x = 0;
+    let y = 0;
+    let shelfHeight = 0;
+    for (let i = 0; i < rects.length; i++) {
+        const rect = rects[i];
+        if (rect.paddedWidth > size || rect.paddedHeight > size) {
+            return i;
+        }
+        if (x + rect.paddedWidth > size) {
+            x = 0;
+            y += shelfHeight;
+            shelfHeight = 0;
+        }
+        if (y + rect.paddedHeight > size) {
+            return i;
+        }
+        rect.x = x;
+        rect.y = y;
+        x += rect.paddedWidth;
+        shelfHeight = Math.max(shelfHeight, rect.paddedHeight);
+    }
+    return rects.length;
+}
+
+// Draw the magenta and black checkerboard the game shows for missing textures
+function drawMissingTexture(context, x, y, width, height) {
+    context.fillStyle = '#f800f8';
+    context.fillRect(x, y, width, height);
+    context.fillStyle = '#000000';
+    context.fillRect(x + width / 2, y, width / 2, height / 2);
+    context.fillRect(x, y + height / 2, width / 2, height / 2);
+}
+
+// Draw a texture into its place, then stretch its outermost pixels out over the padding
+function drawRect(context, rect, padding) {
+    const { x, y, width, height } = rect;
+    const left = x + padding;
+    const top = y + padding;
+    const image = rect.texture.image;
+    if (image && image.width && image.height) {
+        context.drawImage(image, 0, 0, width, height, left, top, width, height);
+    } else {
+        drawMissingTexture(context, left, top, width, height);
+    }
+    if (padding === 0) {
+        return;
+    }
+    const canvas = context.canvas;
+    // Edges first, then corners from the padded edges
+    context.drawImage(canvas, left, top, width, 1, left, y, width, padding);
+    context.drawImage(canvas, left, top + height - 1, width, 1, left, top + height, width, padding);
+    context.drawImage(canvas, left, y, 1, height + padding * 2, x, y, padding, height + padding * 2);
+    context.drawImage(canvas, left + width - 1, y, 1, height + padding * 2, left + width, y, padding, height + padding * 2);
+}
+
+// The stock map_fragment chunk, sampling the texture's area of the atlas instead of vUv, so the colour
+// is decoded the same way as for other materials
+const TILED_MAP_FRAGMENT = THREE.ShaderChunk.map_fragment
+    .replace('texture2D( map, vUv )', 'texture2D( map, vTileRect.xy + fract( vUv ) * vTileRect.zw )');
+
+// A material for geometry whose UVs count whole textures instead of atlas coordinates, so one face can
+// repeat a texture. The tileRect attribute (u, v, width, height) gives the texture's area of the atlas
+function createTiledMaterial(texture) {
+    const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, vertexColors: true });
+    material.onBeforeCompile = (shader) => {
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <uv_pars_vertex>', '#include <uv_pars_vertex>\nattribute vec4 tileRect;\nvarying vec4 vTileRect;')
+            .replace('#include <uv_vertex>', '#include <uv_vertex>\nvTileRect = tileRect;');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <map_pars_fragment>', '#include <map_pars_fragment>\nvarying vec4 vTileRect;')
+            .replace('#include <map_fragment>', TILED_MAP_FRAGMENT);
+    };
+    return material;
+}
+
+function createPage(size, texture) {
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    texture.generateMipmaps = false;
+    return {
+        size: size,
+        texture: texture,
+        material: new THREE.MeshBasicMaterial({ map: texture, transparent: true, vertexColors: true }),
+        tiledMaterial: createTiledMaterial(texture)
+    };
+}
+
+// Build atlas pages holding the given textures. options.maxSize caps the page size (use the renderer's
+// maxTextureSize where it is lower), options.padding is the border around each texture in pixels.
+// Returns the pages, each with a texture, a material and a tiled material (see createTiledMaterial),
+// getRegion(texture), which gives the page and UV rectangle a texture ended up in, and add(textures) to
+// pack more textures later. Those go on new pages, so nothing already packed moves; the materials
+// arrays are updated in place, so meshes using them can draw the new pages too
+export default function createAtlas(textures, options = {}) {
+    const maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    const padding = options.padding !== undefined ? options.padding : DEFAULT_PADDING;
+    const regions = new Map();
+    const pages = [];
+    const materials = [];
+    const tiledMaterials = [];
+
+    function add(newTextures) {
+        const rects = Array.from(new Set(newTextures)).filter(texture => !regions.has(texture)).map(texture => {
+            const { width, height } = getFrameSize(texture);
+            return {
+                texture: texture,
+                width: width,
+                height: height,
+                paddedWidth: width + padding * 2,
+                paddedHeight: height + padding * 2
+            };
+        });
+        // Tall textures first keeps the shelves tight
+        rects.sort((a, b) => b.paddedHeight - a.paddedHeight || b.paddedWidth - a.paddedWidth);
+
+        let remaining = rects;
+        while (remaining.length > 0) {
+            // Start from the smallest page that could hold everything left, and grow until it fits
+            const area = remaining.reduce((sum, rect) => sum + rect.paddedWidth * rect.paddedHeight, 0);
+            let size = Math.min(maxSize, nextPowerOfTwo(Math.sqrt(area)));
+            let fitted = packShelves(remaining, size);
+            while (fitted < remaining.length && size < maxSize) {
+                size *= 2;
+                fitted = packShelves(remaining, size);
+            }
+            if (fitted === 0) {
+                throw new Error(`Texture of ${remaining[0].width}x${remaining[0].height} does not fit in a ${maxSize}x${maxSize} atlas`);
+            }
+
+            const canvas = createCanvas(size, size);
+            const context = canvas.getContext('2d');
+            context.imageSmoothingEnabled = false;
+            const pageIndex = pages.length;
+            for (const rect of remaining.slice(0, fitted)) {
+                drawRect(context, rect, padding);
+                regions.set(rect.texture, {
+                    page: pageIndex,
+                    u0: (rect.x + padding) / size,
+                    v0: 1 - (rect.y + padding + rect.height) / size,
+                    u1: (rect.x + padding + rect.width) / size,
+                    v1: 1 - (rect.y + padding) / size
+                });
+            }
+
+            const page = createPage(size, new THREE.CanvasTexture(canvas));
+            pages.push(page);
+            materials.push(page.material);
+            tiledMaterials.push(page.tiledMaterial);
+            remaining = remaining.slice(fitted);
+        }
+    }
+
+    add(textures);
+    return {
+        pages: pages,
+        materials: materials,
+        tiledMaterials: tiledMaterials,
+        add: add,
+        getRegion(texture) {
+            return regions.get(texture);
+        }
+    };
+}
+
+// Read the pixels of an atlas page, as RGBA rows from the top
+export function getPagePixels(page) {
+    return page.texture.image.getContext('2d').getImageData(0, 0, page.size, page.size).data;
+}
+
+// Make a page like the ones createAtlas builds from pixels read with getPagePixels, e.g. ones sent over
+// from a worker
+export function createPageFromPixels(size, pixels) {
+    const data = new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    // Canvas textures are flipped on upload, the atlas regions count on it
+    texture.flipY = true;
+    texture.needsUpdate = true;
+    return createPage(size, texture);
+}
+
+// Move a geometry's UVs from the materials' own textures into the atlas. Each face group is pointed at
+// its atlas page, and the material's color (the tint) is kept as vertex colors
+export function applyAtlas(geometry, materials, atlas) {
+    const result = geometry.clone();
+    const uv = result.attributes.uv;
+    const colors = new Float32Array(result.attributes.position.count * 3).fill(1);
+    // Vertices are shared within a face, only move them once
+    const moved = new Uint8Array(result.attributes.position.count);
+    result.clearGroups();
+
+    for (const group of geometry.groups) {
+        const material = materials[group.materialIndex];
+        const region = material && material.map ? atlas.getRegion(material.map) : undefined;
+        if (region === undefined) {
+            continue;
+        }
+        const color = material.color;
+        for (let i = group.start; i < group.start + group.count; i++) {
+            const vertex = result.index ? result.index.getX(i) : i;
+            if (moved[vertex]) {
+                continue;
+            }
+            moved[vertex] = 1;
+            uv.setXY(vertex,
+                region.u0 + uv.getX(vertex) * (region.u1 - region.u0),
+                region.v0 + uv.getY(vertex) * (region.v1 - region.v0));
+            colors[vertex * 3] = color.r;
+            colors[vertex * 3 + 1] = color.g;
+            colors[vertex * 3 + 2] = color.b;
+        }
+        result.addGroup(group.start, group.count, region.page);
+    }
+    result.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    uv.needsUpdate = true;
+    return result;
+}
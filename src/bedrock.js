@@ -0,0 +1,399 @@
+// Maps Bedrock Edition block names and states to their Java Edition equivalents, so Bedrock
+// structures can be rendered with a Java resource pack. Names Bedrock shares with Java pass
+// through unchanged; states without a Java counterpart are dropped.
+
+import BlockState from './blockstate.js';
+
+// Bedrock names that map to a single Java name
+const RENAMED_BLOCKS = {
+    'grass': 'grass_block',
+    'grass_path': 'dirt_path',
+    'tallgrass': 'short_grass',
+    'yellow_flower': 'dandelion',
+    'deadbush': 'dead_bush',
+    'web': 'cobweb',
+    'waterlily': 'lily_pad',
+    'reeds': 'sugar_cane',
+    'brick_block': 'bricks',
+    'nether_brick': 'nether_bricks',
+    'red_nether_brick': 'red_nether_bricks',
+    'end_bricks': 'end_stone_bricks',
+    'hardened_clay': 'terracotta',
+    'snow': 'snow_block',
+    'snow_layer': 'snow',
+    'melon_block': 'melon',
+    'lit_pumpkin': 'jack_o_lantern',
+    'mob_spawner': 'spawner',
+    'noteblock': 'note_block',
+    'invisible_bedrock': 'barrier',
+    'invisiblebedrock': 'barrier',
+    'slime': 'slime_block',
+    'sealantern': 'sea_lantern',
+    'quartz_ore': 'nether_quartz_ore',
+    'magma': 'magma_block',
+    'golden_rail': 'powered_rail',
+    'stone_stairs': 'cobblestone_stairs',
+    'normal_stone_stairs': 'stone_stairs',
+    'fence_gate': 'oak_fence_gate',
+    'trapdoor': 'oak_trapdoor',
+    'wooden_door': 'oak_door',
+    'wooden_button': 'oak_button',
+    'wooden_pressure_plate': 'oak_pressure_plate',
+    'standing_sign': 'oak_sign',
+    'wall_sign': 'oak_wall_sign',
+    'trip_wire': 'tripwire',
+    'undyed_shulker_box': 'shulker_box',
+    'bed': 'red_bed',
+    'skull': 'skeleton_skull',
+    'flowing_water': 'water',
+    'flowing_lava': 'lava',
+    'frame': 'air',
+    'glow_frame': 'air',
+    'unlit_redstone_torch': 'redstone_torch',
+    'powered_repeater': 'repeater',
+    'unpowered_repeater': 'repeater',
+    'powered_comparator': 'comparator',
+    'unpowered_comparator': 'comparator',
+    'lit_furnace': 'furnace',
+    'lit_blast_furnace': 'blast_furnace',
+    'lit_smoker': 'smoker',
+    'lit_redstone_lamp': 'redstone_lamp',
+    'lit_redstone_ore': 'redstone_ore',
+    'lit_deepslate_redstone_ore': 'deepslate_redstone_ore',
+    'daylight_detector_inverted': 'daylight_detector',
+    'double_stone_slab': 'stone_slab',
+    'double_stone_slab2': 'stone_slab2',
+    'double_stone_slab3': 'stone_slab3',
+    'double_stone_slab4': 'stone_slab4',
+    'double_wooden_slab': 'wooden_slab'
+};
+
+// Extra Java properties implied by a Bedrock name
+const IMPLIED_PROPERTIES = {
+    'lit_furnace': { lit: 'true' },
+    'lit_blast_furnace': { lit: 'true' },
+    'lit_smoker': { lit: 'true' },
+    'lit_redstone_lamp': { lit: 'true' },
+    'lit_redstone_ore': { lit: 'true' },
+    'lit_deepslate_redstone_ore': { lit: 'true' },
+    'unlit_redstone_torch': { lit: 'false' },
+    'powered_repeater': { powered: 'true' },
+    'powered_comparator': { powered: 'true' },
+    'daylight_detector_inverted': { inverted: 'true' },
+    'double_stone_slab': { type: 'double' },
+    'double_stone_slab2': { type: 'double' },
+    'double_stone_slab3': { type: 'double' },
+    'double_stone_slab4': { type: 'double' },
+    'double_wooden_slab': { type: 'double' }
+};
+
+const COLORS = {
+    'silver': 'light_gray'
+};
+
+// Pre-flattening Bedrock blocks whose Java name depends on one of their states
+const VARIANT_BLOCKS = {
+    'wool': ['color', color => `${color}_wool`],
+    'carpet': ['color', color => `${color}_carpet`],
+    'concrete': ['color', color => `${color}_concrete`],
+    'concrete_powder': ['color', color => `${color}_concrete_powder`],
+    'concretepowder': ['color', color => `${color}_concrete_powder`],
+    'stained_glass': ['color', color => `${color}_stained_glass`],
+    'stained_glass_pane': ['color', color => `${color}_stained_glass_pane`],
+    'stained_hardened_clay': ['color', color => `${color}_terracotta`],
+    'shulker_box': ['color', color => `${color}_shulker_box`],
+    'planks': ['wood_type', type => `${type}_planks`],
+    'fence': ['wood_type', type => `${type}_fence`],
+    'wooden_slab': ['wood_type', type => `${type}_slab`],
+    'sapling': ['sapling_type', type => `${type}_sapling`],
+    'log': ['old_log_type', type => `${type}_log`],
+    'log2': ['new_log_type', type => `${type}_log`],
+    'leaves': ['old_leaf_type', type => `${type}_leaves`],
+    'leaves2': ['new_leaf_type', type => `${type}_leaves`],
+    'stone': ['stone_type', type => ({
+        'granite_smooth': 'polished_granite',
+        'diorite_smooth': 'polished_diorite',
+        'andesite_smooth': 'polished_andesite'
+    })[type] || type],
+    'stonebrick': ['stone_brick_type', type => ({
+        'default': 'stone_bricks',
+        'smooth': 'stone_bricks'
+    })[type] || `${type}_stone_bricks`],
+    'sandstone': ['sand_stone_type', type => ({
+        'default': 'sandstone',
+        'heiroglyphs': 'chiseled_sandstone'
+    })[type] || `${type}_sandstone`],
+    'red_sandstone': ['sand_stone_type', type => ({
+        'default': 'red_sandstone',
+        'heiroglyphs': 'chiseled_red_sandstone'
+    })[type] || `${type}_red_sandstone`],
+    'sand': ['sand_type', type => type === 'red' ? 'red_sand' : 'sand'],
+    'dirt': ['dirt_type', type => type === 'coarse' ? 'coarse_dirt' : 'dirt'],
+    'quartz_block': ['chisel_type', type => ({
+        'chiseled': 'chiseled_quartz_block',
+        'lines': 'quartz_pillar',
+        'smooth': 'smooth_quartz'
+    })[type] || 'quartz_block'],
+    'purpur_block': ['chisel_type', type => type === 'lines' ? 'purpur_pillar' : 'purpur_block'],
+    'prismarine': ['prismarine_block_type', type => ({
+        'dark': 'dark_prismarine',
+        'bricks': 'prismarine_bricks'
+    })[type] || 'prismarine'],
+    'cobblestone_wall': ['wall_block_type', type => ({
+        'mossy_cobblestone': 'mossy_cobblestone_wall',
+        'end_brick': 'end_stone_brick_wall'
+    })[type] || `${type}_wall`],
+    'monster_egg': ['monster_egg_stone_type', type => ({
+        'stone': 'infested_stone',
+        'cobblestone': 'infested_cobblestone',
+        'stone_brick': 'infested_stone_bricks',
+        'mossy_stone_brick': 'infested_mossy_stone_bricks',
+        'cracked_stone_brick': 'infested_cracked_stone_bricks',
+        'chiseled_stone_brick': 'infested_chiseled_stone_bricks'
+    })[type] || 'infested_stone'],
+    'red_flower': ['flower_type', type => ({
+        'orchid': 'blue_orchid',
+        'houstonia': 'azure_bluet',
+        'tulip_red': 'red_tulip',
+        'tulip_orange': 'orange_tulip',
+        'tulip_white': 'white_tulip',
+        'tulip_pink': 'pink_tulip',
+        'oxeye': 'oxeye_daisy'
+    })[type] || type],
+    'double_plant': ['double_plant_type', type => ({
+        'syringa': 'lilac',
+        'grass': 'tall_grass',
+        'fern': 'large_fern',
+        'rose': 'rose_bush',
+        'paeonia': 'peony'
+    })[type] || type],
+    'tallgrass': ['tall_grass_type', type => type === 'fern' ? 'fern' : 'short_grass'],
+    'stone_slab': ['stone_slab_type', type => ({
+        'smooth_stone': 'smooth_stone_slab',
+        'wood': 'oak_slab',
+        'cobblestone': 'cobblestone_slab',
+        'brick': 'brick_slab',
+        'stone_brick': 'stone_brick_slab',
+        'quartz': 'quartz_slab',
+        'nether_brick': 'nether_brick_slab'
+    })[type] || `${type}_slab`],
+    'stone_slab2': ['stone_slab_type_2', type => ({
+        'prismarine_rough': 'prismarine_slab',
+        'prismarine_dark': 'dark_prismarine_slab',
+        'prismarine_brick': 'prismarine_brick_slab'
+    })[type] || `${type}_slab`],
+    'stone_slab3': ['stone_slab_type_3', type => ({
+        'end_stone_brick': 'end_stone_brick_slab',
+        'smooth_red_sandstone': 'smooth_red_sandstone_slab'
+    })[type] || `${type}_slab`],
+    'stone_slab4': ['stone_slab_type_4', type => ({
+        'mossy_stone_brick': 'mossy_stone_brick_slab',
+        'stone': 'stone_slab'
+    })[type] || `${type}_slab`]
+};
+
+const FACING_DIRECTIONS = ['down', 'up', 'north', 'south', 'west', 'east'];
+const RAIL_SHAPES = [
+    'north_south', 'east_west', 'ascending_east', 'ascending_west', 'ascending_north',
+    'ascending_south', 'south_east', 'south_west', 'north_west', 'north_east'
+];
+const OPPOSITE_DIRECTIONS = { north: 'south', south: 'north', east: 'west', west: 'east' };
+
+// The integer "direction" state means different things depending on the block
+function getDirection(javaName, direction) {
+    if (javaName.endsWith('_door')) {
+        return ['east', 'south', 'west', 'north'][direction];
+    }
+    if (javaName.endsWith('_trapdoor')) {
+        return ['east', 'west', 'south', 'north'][direction];
+    }
+    return ['south', 'west', 'north', 'east'][direction];
+}
+
+// Convert Bedrock states to Java properties for the given Java block name
+function convertStates(javaName, states) {
+    const properties = {};
+    for (const [key, value] of Object.entries(states)) {
+        switch (key) {
+            case 'pillar_axis':
+                properties.axis = value;
+                break;
+            case 'facing_direction':
+                if (javaName.endsWith('_button')) {
+                    // Buttons use facing_direction for the face they're attached to
+                    if (value === 0) {
+                        properties.face = 'ceiling';
+                    } else if (value === 1) {
+                        properties.face = 'floor';
+                    } else {
+                        properties.face = 'wall';
+                        properties.facing = FACING_DIRECTIONS[value];
+                    }
+                } else if (FACING_DIRECTIONS[value] !== undefined) {
+                    properties.facing = FACING_DIRECTIONS[value];
+                }
+                break;
+            case 'minecraft:cardinal_direction':
+            case 'minecraft:facing_direction':
+            case 'minecraft:block_face':
+                properties.facing = value;
+                break;
+            case 'direction':
+                properties.facing = getDirection(javaName, value);
+                break;
+            case 'weirdo_direction':
+                properties.facing = ['east', 'west', 'south', 'north'][value];
+                break;
+            case 'ground_sign_direction':
+                properties.rotation = String(value);
+                break;
+            case 'upside_down_bit':
+                properties.half = value ? 'top' : 'bottom';
+                break;
+            case 'top_slot_bit':
+                if (properties.type === undefined) {
+                    properties.type = value ? 'top' : 'bottom';
+                }
+                break;
+            case 'minecraft:vertical_half':
+                if (properties.type === undefined) {
+                    properties.type = value;
+                }
+                break;
+            case 'upper_block_bit':
+                properties.half = value ? 'upper' : 'lower';
+                break;
+            case 'open_bit':
+                properties.open = value ? 'true' : 'false';
+                break;
+            case 'door_hinge_bit':
+                properties.hinge = value ? 'right' : 'left';
+                break;
+            case 'in_wall_bit':
+                properties.in_wall = value ? 'true' : 'false';
+                break;
+            case 'head_piece_bit':
+                properties.part = value ? 'head' : 'foot';
+                break;
+            case 'occupied_bit':
+                properties.occupied = value ? 'true' : 'false';
+                break;
+            case 'persistent_bit':
+                properties.persistent = value ? 'true' : 'false';
+                break;
+            case 'attached_bit':
+                properties.attached = value ? 'true' : 'false';
+                break;
+            case 'powered_bit':
+            case 'button_pressed_bit':
+            case 'output_lit_bit':
+            case 'rail_data_bit':
+                properties.powered = value ? 'true' : 'false';
+                break;
+            case 'output_subtract_bit':
+                properties.mode = value ? 'subtract' : 'compare';
+                break;
+            case 'repeater_delay':
+                properties.delay = String(value + 1);
+                break;
+            case 'redstone_signal':
+                properties.power = String(value);
+                break;
+            case 'age':
+            case 'growth':
+                properties.age = String(value);
+                break;
+            case 'bite_counter':
+                properties.bites = String(value);
+                break;
+            case 'height':
+                if (javaName === 'snow') {
+                    properties.layers = String(value + 1);
+                }
+                break;
+            case 'liquid_depth':
+                properties.level = String(value);
+                break;
+            case 'candles':
+                properties.candles = String(value + 1);
+                break;
+            case 'lit':
+            case 'hanging':
+                properties[key] = value ? 'true' : 'false';
+                break;
+            case 'rail_direction':
+                if (RAIL_SHAPES[value] !== undefined) {
+                    properties.shape = RAIL_SHAPES[value];
+                }
+                break;
+            case 'wall_post_bit':
+                properties.up = value ? 'true' : 'false';
+                break;
+            case 'wall_connection_type_north':
+            case 'wall_connection_type_east':
+            case 'wall_connection_type_south':
+            case 'wall_connection_type_west':
+                properties[key.substring('wall_connection_type_'.length)] = value === 'short' ? 'low' : value;
+                break;
+            case 'vine_direction_bits':
+                properties.south = value & 1 ? 'true' : 'false';
+                properties.west = value & 2 ? 'true' : 'false';
+                properties.north = value & 4 ? 'true' : 'false';
+                properties.east = value & 8 ? 'true' : 'false';
+                break;
+            case 'lever_direction': {
+                const [face, facing] = {
+                    'up_north_south': ['floor', 'north'],
+                    'up_east_west': ['floor', 'east'],
+                    'down_north_south': ['ceiling', 'north'],
+                    'down_east_west': ['ceiling', 'east']
+                }[value] || ['wall', value];
+                properties.face = face;
+                properties.facing = facing;
+                break;
+            }
+        }
+    }
+    return properties;
+}
+
+// Convert a Bedrock block (name and states compound from nbt.js) to a Java BlockState
+export default function convertBedrockBlock(name, states = {}) {
+    // Unwrap the nbt.js { type, value } tags
+    const stateValues = {};
+    for (const [key, tag] of Object.entries(states)) {
+        stateValues[key] = tag.value;
+    }
+
+    const namespace = name.includes(':') ? name.substring(0, name.indexOf(':')) : 'minecraft';
+    let blockName = name.substring(name.indexOf(':') + 1);
+    if (namespace !== 'minecraft') {
+        return new BlockState(name);
+    }
+
+    const renamedFrom = blockName;
+    if (RENAMED_BLOCKS[blockName] !== undefined) {
+        blockName = RENAMED_BLOCKS[blockName];
+    }
+    const variant = VARIANT_BLOCKS[renamedFrom] || VARIANT_BLOCKS[blockName];
+    if (variant && stateValues[variant[0]] !== undefined) {
+        const value = COLORS[stateValues[variant[0]]] || stateValues[variant[0]];
+        blockName = variant[1](value);
+    }
+    // Wood blocks share a name and use stripped_bit for the stripped variants
+    if (blockName === 'wood' && stateValues.wood_type !== undefined) {
+        blockName = `${stateValues.stripped_bit ? 'stripped_' : ''}${stateValues.wood_type}_wood`;
+    }
+
+    // Torches are a single block in Bedrock, but split into standing and wall torches in Java
+    const properties = convertStates(blockName, stateValues);
+    const torchFacing = OPPOSITE_DIRECTIONS[stateValues.torch_facing_direction];
+    if (torchFacing !== undefined) {
+        blockName = blockName.replace(/torch$/, 'wall_torch');
+        // Bedrock names the side the torch is attached to, Java the direction it points
+        properties.facing = torchFacing;
+    }
+    Object.assign(properties, IMPLIED_PROPERTIES[renamedFrom]);
+
+    return new BlockState(`minecraft:${blockName}`, properties);
+}
@@ -0,0 +1,48 @@
+// Helpers for reading the bit-packed long arrays Minecraft uses for block and biome indices.
+// nbt.js reads longs as [upper, lower] pairs of signed 32-bit ints
+
+// Convert an NBT long ([upper, lower]) to a number. Precise up to 2^53, which is plenty for timestamps
+export function longToNumber(long) {
+    return long[0] * 0x100000000 + (long[1] >>> 0);
+}
+
+// Split an NBT long array into 32-bit words, least significant first, so bits can be read as one stream
+export function longArrayToWords(longs) {
+    const words = new Uint32Array(longs.length * 2);
+    for (let i = 0; i < longs.length; i++) {
+        words[i * 2] = longs[i][1];
+        words[i * 2 + 1] = longs[i][0];
+    }
+    return words;
+}
+
+// Read a value of `bits` bits starting at `startBit` from a word array. Values may span two words
+export function readPackedValue(words, startBit, bits) {
+    const wordIndex = startBit >>> 5;
+    const bitOffset = startBit & 31;
+    let value = words[wordIndex] >>> bitOffset;
+    if (bitOffset + bits > 32) {
+        value |= words[wordIndex + 1] << (32 - bitOffset);
+    }
+    return bits === 32 ? value >>> 0 : value & ((1 << bits) - 1);
+}
+
+// Unpack `count` values from a long array into a typed array just wide enough for `bits`. Since 1.16,
+// values no longer span two longs, leaving the top bits of each long unused; older chunks and
+// Litematica files pack them back to back
+export function unpackLongArray(longs, bits, count, spanning = true) {
+    const words = longArrayToWords(longs);
+    const valuesPerLong = Math.floor(64 / bits);
+    const longsNeeded = spanning ? Math.ceil(count * bits / 64) : Math.ceil(count / valuesPerLong);
+    if (longs.length < longsNeeded) {
+        throw new Error(`Invalid packed data: expected ${longsNeeded} longs, got ${longs.length}`);
+    }
+    const values = bits > 16 ? new Uint32Array(count) : new Uint16Array(count);
+    for (let i = 0; i < count; i++) {
+        const startBit = spanning
+            ? i * bits
+            : Math.floor(i / valuesPerLong) * 64 + (i % valuesPerLong) * bits;
+        values[i] = readPackedValue(words, startBit, bits);
+    }
+    return values;
+}
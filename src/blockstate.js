@@ -0,0 +1,176 @@
+// Block states: a namespaced block name and a map of property names to values, e.g.
+// minecraft:oak_stairs[facing=north,half=top]. Every file format's blocks are turned into these, and the
+// palette, mesher and model loader work with them rather than raw strings
+
+// Characters the game allows in property names and values without quotes
+const UNQUOTED = /^[0-9A-Za-z_\-.+]+$/;
+
+export default class BlockState {
+    // properties can be a Map, an object or a list of [name, value] pairs. Names without a namespace are
+    // in the minecraft namespace, like in the game
+    constructor(name, properties = {}) {
+        if (!name.includes(':')) {
+            name = `minecraft:${name}`;
+        }
+        this.name = name;
+        this.namespace = name.substring(0, name.indexOf(':'));
+        // The name without its namespace, e.g. "oak_stairs"
+        this.path = name.substring(name.indexOf(':') + 1);
+        const entries = properties instanceof Map || Array.isArray(properties) ? properties : Object.entries(properties);
+        this.properties = new Map(Array.from(entries, ([key, value]) => [key, String(value)]));
+        // The same for equal states whatever order the properties are in, used to share palette entries
+        this.key = formatState(this.name, [...this.properties].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    }
+
+    // Parse the "minecraft:oak_stairs[facing=north,half=top]" syntax. Property names and values can be
+    // quoted with ' or ", with \ escaping the quote or a backslash
+    static parse(string) {
+        const reader = { string, position: 0 };
+        const bracket = string.indexOf('[');
+        const name = (bracket < 0 ? string : string.substring(0, bracket)).trim();
+        if (name === '') {
+            throw new Error(`Invalid block state "${string}": missing block name`);
+        }
+        const properties = new Map();
+        if (bracket >= 0) {
+            reader.position = bracket + 1;
+            skipWhitespace(reader);
+            if (string[reader.position] === ']') {
+                reader.position++;
+            } else {
+                for (;;) {
+                    const key = readToken(reader);
+                    expect(reader, '=');
+                    properties.set(key, readToken(reader));
+                    const next = string[reader.position];
+                    if (next !== ',' && next !== ']') {
+                        throw syntaxError(reader, "',' or ']'");
+                    }
+                    reader.position++;
+                    if (next === ']') {
+                        break;
+                    }
+                }
+            }
+            skipWhitespace(reader);
+            if (reader.position < string.length) {
+                throw syntaxError(reader, 'the end');
+            }
+        }
+        return new BlockState(name, properties);
+    }
+
+    // Convert a { Name, Properties } block state compound read with nbt.js, as found in the palettes of
+    // Litematica, structure and chunk files
+    static fromCompound(entry) {
+        const properties = {};
+        if (entry.Properties) {
+            for (const [key, tag] of Object.entries(entry.Properties.value)) {
+                properties[key] = tag.value;
+            }
+        }
+        return new BlockState(entry.Name.value, properties);
+    }
+
+    // Get a BlockState from a block given by the caller: a BlockState, a string in the syntax parse
+    // reads, or a { name, properties } object whose properties are like the constructor's or a list of
+    // "name=value" strings. Also rebuilds states that lost their class being sent to or from a worker
+    static from(block) {
+        if (block instanceof BlockState) {
+            return block;
+        }
+        if (typeof block === 'string') {
+            return BlockState.parse(block);
+        }
+        let properties = block.properties || {};
+        if (Array.isArray(properties)) {
+            properties = properties.map(property => (typeof property === 'string' ? splitProperty(property) : property));
+        }
+        return new BlockState(block.name, properties);
+    }
+
+    get(property) {
+        return this.properties.get(property);
+    }
+
+    // A copy of this state with a property set to another value
+    with(property, value) {
+        const properties = new Map(this.properties);
+        properties.set(property, String(value));
+        return new BlockState(this.name, properties);
+    }
+
+    equals(other) {
+        return other !== null && other !== undefined && this.key === BlockState.from(other).key;
+    }
+
+    // The state in the syntax parse reads, with the properties in the order they were given
+    toString() {
+        return formatState(this.name, this.properties);
+    }
+}
+
+function formatState(name, properties) {
+    const parts = Array.from(properties, ([key, value]) => `${quote(key)}=${quote(value)}`);
+    return parts.length > 0 ? `${name}[${parts.join(',')}]` : name;
+}
+
+function quote(value) {
+    return UNQUOTED.test(value) ? value : `"${value.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+function splitProperty(property) {
+    const separator = property.indexOf('=');
+    return separator < 0 ? [property, ''] : [property.substring(0, separator), property.substring(separator + 1)];
+}
+
+function skipWhitespace(reader) {
+    while (reader.position < reader.string.length && /\s/.test(reader.string[reader.position])) {
+        reader.position++;
+    }
+}
+
+function expect(reader, character) {
+    skipWhitespace(reader);
+    if (reader.string[reader.position] !== character) {
+        throw syntaxError(reader, `'${character}'`);
+    }
+    reader.position++;
+}
+
+// Read a property name or value, quoted or not, and the whitespace after it
+function readToken(reader) {
+    const { string } = reader;
+    skipWhitespace(reader);
+    const quoteCharacter = string[reader.position];
+    let token = '';
+    if (quoteCharacter === '"' || quoteCharacter === "'") {
+        reader.position++;
+        for (;;) {
+            if (reader.position >= string.length) {
+                throw syntaxError(reader, `closing ${quoteCharacter}`);
+            }
+            const character = string[reader.position++];
+            if (character === quoteCharacter) {
+                break;
+            }
+            token += character === '\\' && reader.position < string.length ? string[reader.position++] : character;
+        }
+    } else {
+        const start = reader.position;
+        while (reader.position < string.length && !/[\s=,\]]/.test(string[reader.position])) {
+            reader.position++;
+        }
+        token = string.substring(start, reader.position);
+        if (token === '') {
+            throw syntaxError(reader, 'a property name or value');
+        }
+    }
+    skipWhitespace(reader);
+    return token;
+}
+
+function syntaxError(reader, expected) {
+    const found = reader.position < reader.string.length ? `'${reader.string[reader.position]}'` : 'the end';
+    return new Error(`Invalid block state "${reader.string}": expected ${expected} at ${reader.position}, found ${found}`);
+}
@@ -0,0 +1,166 @@
+// A box of blocks, stored as indices into a palette of block states rather than an object per block.
+// Positions are ordered like the game's chunk sections and Sponge schematics: x varies fastest, then z,
+// then y. Indices take two bytes per block, or four once the palette outgrows that
+
+import BlockState from './blockstate.js';
+
+export const AIR = new BlockState('minecraft:air');
+
+function isAir(block) {
+    return block.name === 'minecraft:air';
+}
+
+function setPalette(volume, palette) {
+    volume.palette = [];
+    volume.paletteIndex = new Map();
+    for (const entry of palette) {
+        const block = BlockState.from(entry);
+        if (!volume.paletteIndex.has(block.key)) {
+            volume.paletteIndex.set(block.key, volume.palette.length);
+        }
+        // Duplicates are kept, indices may point at either
+        volume.palette.push(block);
+    }
+}
+
+function createIndexArray(paletteSize, size) {
+    return paletteSize > 0x10000 ? new Uint32Array(size) : new Uint16Array(size);
+}
+
+export default class BlockVolume {
+    // palette is the list of blocks the indices point into, and indices can hold them already (e.g. read
+    // straight from a file). Without indices every position starts as the first palette entry. Blocks
+    // can be given as anything BlockState.from takes, the palette holds BlockStates
+    constructor(width, height, length, palette = [AIR], indices = null) {
+        this.width = width;
+        this.height = height;
+        this.length = length;
+        setPalette(this, palette);
+        this.indices = indices || createIndexArray(this.palette.length, width * height * length);
+        // The biome of every position, stored the same way as the blocks as { palette, indices } with
+        // biome names like "minecraft:plains" in the palette. null when the file had none
+        this.biomes = null;
+    }
+
+    // Rebuild a volume from toData, e.g. after it was sent to or from a worker (the palette's BlockStates
+    // arrive as plain objects, and are turned back into BlockStates)
+    static fromData(data) {
+        const volume = new BlockVolume(data.width, data.height, data.length, data.palette, data.indices);
+        volume.biomes = data.biomes || null;
+        return volume;
+    }
+
+    // A plain copy of the volume that can be posted to a worker. The index arrays are shared, not copied
+    toData() {
+        return {
+            width: this.width, height: this.height, length: this.length, palette: this.palette, indices: this.indices,
+            biomes: this.biomes
+        };
+    }
+
+    contains(x, y, z) {
+        return x >= 0 && y >= 0 && z >= 0 && x < this.width && y < this.height && z < this.length;
+    }
+
+    // The position of a block in the indices array
+    index(x, y, z) {
+        return (y * this.length + z) * this.width + x;
+    }
+
+    // Get the block at a position, or undefined outside the volume
+    get(x, y, z) {
+        if (!this.contains(x, y, z)) {
+            return undefined;
+        }
+        return this.palette[this.indices[this.index(x, y, z)]];
+    }
+
+    getPaletteIndex(x, y, z) {
+        return this.indices[this.index(x, y, z)];
+    }
+
+    // Get the name of the biome at a position, or undefined when there is no biome data for it
+    getBiome(x, y, z) {
+        if (this.biomes === null || !this.contains(x, y, z)) {
+            return undefined;
+        }
+        return this.biomes.palette[this.biomes.indices[this.index(x, y, z)]];
+    }
+
+    set(x, y, z, block) {
+        this.setPaletteIndex(x, y, z, this.addToPalette(block));
+    }
+
+    setPaletteIndex(x, y, z, paletteIndex) {
+        if (!this.contains(x, y, z)) {
+            throw new RangeError(`Block position ${x}, ${y}, ${z} is outside the ${this.width}x${this.height}x${this.length} volume`);
+        }
+        this.indices[this.index(x, y, z)] = paletteIndex;
+    }
+
+    // Replace every palette entry with callback(block), e.g. to upgrade blocks saved by an older version.
+    // Every position keeps its palette index, so the blocks change everywhere at once
+    mapPalette(callback) {
+        setPalette(this, this.palette.map(callback));
+    }
+
+    // Get the palette index of a block, adding it to the palette if it isn't there yet. Equal block states
+    // share an entry
+    addToPalette(block) {
+        block = BlockState.from(block);
+        let paletteIndex = this.paletteIndex.get(block.key);
+        if (paletteIndex === undefined) {
+            paletteIndex = this.palette.length;
+            this.palette.push(block);
+            this.paletteIndex.set(block.key, paletteIndex);
+            if (this.palette.length > 0x10000 && !(this.indices instanceof Uint32Array)) {
+                this.indices = Uint32Array.from(this.indices);
+            }
+        }
+        return paletteIndex;
+    }
+
+    // Call callback(block, x, y, z) for every block that isn't air, in storage order
+    forEach(callback) {
+        const air = this.palette.map(isAir);
+        let i = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let z = 0; z < this.length; z++) {
+                for (let x = 0; x < this.width; x++) {
+                    const paletteIndex = this.indices[i++];
+                    if (!air[paletteIndex]) {
+                        callback(this.palette[paletteIndex], x, y, z);
+                    }
+                }
+            }
+        }
+    }
+
+    // Count the blocks that aren't air
+    count() {
+        const air = this.palette.map(isAir);
+        let count = 0;
+        for (let i = 0; i < this.indices.length; i++) {
+            if (!air[this.indices[i]]) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // Get the smallest box holding every block that isn't air, as inclusive { min, max } corners, or
+    // null when the volume is empty
+    getBounds() {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        this.forEach((block, x, y, z) => {
+            min[0] = Math.min(min[0], x);
+            min[1] = Math.min(min[1], y);
+            min[2] = Math.min(min[2], z);
+            max[0] = Math.max(max[0], x);
+            max[1] = Math.max(max[1], y);
+            max[2] = Math.max(max[2], z);
+        });
+        return min[0] === Infinity ? null : { min, max };
+    }
+}
@@ -0,0 +1,108 @@
+// Rules for leaving out faces that a neighbouring block hides. A face is only ever culled when its model
+// marks it with a cullface, the neighbour's model fills the whole side touching it, and the rules below
+// agree. Callers can replace any of the rules through the culling render option
+
+// Full blocks that can be seen through, so they don't hide their neighbours' faces
+const TRANSPARENT_BLOCKS = new Set([
+    'glass', 'tinted_glass', 'ice', 'frosted_ice', 'slime_block', 'honey_block', 'spawner', 'trial_spawner',
+    'vault', 'beacon', 'barrier', 'mangrove_roots', 'scaffolding', 'chorus_flower', 'chorus_plant', 'creaking_heart'
+]);
+const TRANSPARENT_SUFFIXES = ['_glass', '_leaves', '_grate'];
+
+// Transparent blocks that still hide faces of the same block, so a wall of glass doesn't show every inner face
+const SELF_CULLING_BLOCKS = new Set(['glass', 'tinted_glass', 'ice', 'frosted_ice', 'slime_block', 'honey_block']);
+const SELF_CULLING_SUFFIXES = ['_glass', '_grate'];
+
+function getName(block) {
+    let name = block.name.substring(block.name.indexOf(':') + 1);
+    // Waxed blocks look the same as the unwaxed ones
+    if (name.startsWith('waxed_')) {
+        name = name.substring(6);
+    }
+    return name;
+}
+
+function matches(name, blocks, suffixes) {
+    return blocks.has(name) || suffixes.some(suffix => name.endsWith(suffix));
+}
+
+export const defaultCullingRules = {
+    // Whether a block hides the faces next to it, on the sides its model fills
+    isOpaque(block) {
+        return !matches(getName(block), TRANSPARENT_BLOCKS, TRANSPARENT_SUFFIXES);
+    },
+
+    // Whether the face of block pointing in direction ("north", "up"...) can be left out for neighbour.
+    // Only asked when neighbour's model fills the side touching the face
+    shouldCullFace(block, neighbour, direction) {
+        if (this.isOpaque(neighbour)) {
+            return true;
+        }
+        const name = getName(block);
+        return name === getName(neighbour) && matches(name, SELF_CULLING_BLOCKS, SELF_CULLING_SUFFIXES);
+    }
+};
+
+// Get the culling rules for the render options. options.culling can be false to draw every face, or an
+// object replacing some of the default rules
+export function getCullingRules(options = {}) {
+    if (options.culling === false) {
+        return null;
+    }
+    return Object.assign({}, defaultCullingRules, options.culling);
+}
+
+export const OPPOSITE_DIRECTIONS = {
+    north: 'south',
+    south: 'north',
+    east: 'west',
+    west: 'east',
+    up: 'down',
+    down: 'up'
+};
+
+export const DIRECTION_OFFSETS = {
+    north: [0, 0, -1],
+    south: [0, 0, 1],
+    east: [1, 0, 0],
+    west: [-1, 0, 0],
+    up: [0, 1, 0],
+    down: [0, -1, 0]
+};
+
+// Find the sides of the block a model fills completely, from its faces with a cullface. geometries maps
+// each cullface direction to the geometry of those faces, centered on the block
+export function getCoveredSides(geometries) {
+    const covered = new Set();
+    for (const [direction, geometry] of geometries) {
+        const offset = DIRECTION_OFFSETS[direction];
+        if (offset === undefined) {
+            continue;
+        }
+        const axis = offset.findIndex(value => value !== 0);
+        const side = offset[axis] * 0.5;
+        const pos = geometry.attributes.position;
+        const coordinate = (vertex, k) => pos.array[vertex * 3 + k];
+        const onSide = (vertex) => Math.abs(coordinate(vertex, axis) - side) < 1e-4;
+
+        // Add up the area of the triangles lying on the side
+        let area = 0;
+        const count = geometry.index ? geometry.index.count : pos.count;
+        for (let i = 0; i + 2 < count; i += 3) {
+            const a = geometry.index ? geometry.index.getX(i) : i;
+            const b = geometry.index ? geometry.index.getX(i + 1) : i + 1;
+            const c = geometry.index ? geometry.index.getX(i + 2) : i + 2;
+            if (!onSide(a) || !onSide(b) || !onSide(c)) {
+                continue;
+            }
+            const u = [0, 1, 2].map(k => coordinate(b, k) - coordinate(a, k));
+            const v = [0, 1, 2].map(k => coordinate(c, k) - coordinate(a, k));
+            const cross = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            area += Math.hypot(...cross) / 2;
+        }
+        if (area >= 1 - 1e-3) {
+            covered.add(direction);
+        }
+    }
+    return covered;
+}
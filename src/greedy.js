@@ -0,0 +1,220 @@
+import * as THREE from './lib/three.js';
+
+// Greedy meshing for full cube blocks: neighbouring faces in the same plane that show the same texture the
+// same way are merged into one larger quad, whose UVs repeat the texture across it (see the tiled
+// materials in atlas.js). Blocks with any other shape keep going through the regular mesher
+
+// For each face direction: the axis it points along, the two axes of its plane, and which way it points
+const FACE_AXES = {
+    east: { normal: 0, s: 2, t: 1, sign: 1 },
+    west: { normal: 0, s: 2, t: 1, sign: -1 },
+    up: { normal: 1, s: 0, t: 2, sign: 1 },
+    down: { normal: 1, s: 0, t: 2, sign: -1 },
+    south: { normal: 2, s: 0, t: 1, sign: 1 },
+    north: { normal: 2, s: 0, t: 1, sign: -1 }
+};
+
+const EPSILON = 1e-4;
+
+function isWhole(value) {
+    return Math.abs(value - Math.round(value)) < EPSILON;
+}
+
+// Describe a face for greedy meshing, or return null if it can't be merged. The face must be a single
+// quad covering the whole side of the block, showing one whole texture. geometry holds just that face,
+// centered on the block, with UVs still relative to its material's own texture
+function describeFace(direction, geometry, materials, atlas) {
+    const axes = FACE_AXES[direction];
+    if (!geometry.index || geometry.index.count !== 6 || geometry.groups.length !== 1 || geometry.attributes.position.count !== 4) {
+        return null;
+    }
+    const material = materials[geometry.groups[0].materialIndex];
+    const region = material && material.map ? atlas.getRegion(material.map) : undefined;
+    if (region === undefined) {
+        return null;
+    }
+
+    // Find the UV at each corner of the side, where s and t (the position along the plane) are 0 or 1
+    const pos = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    const corners = {};
+    for (let i = 0; i < 4; i++) {
+        const normal = pos.array[i * 3 + axes.normal];
+        const s = pos.array[i * 3 + axes.s] + 0.5;
+        const t = pos.array[i * 3 + axes.t] + 0.5;
+        if (Math.abs(normal - axes.sign * 0.5) > EPSILON || !isWhole(s) || !isWhole(t)) {
+            return null;
+        }
+        corners[`${Math.round(s)},${Math.round(t)}`] = [uv.getX(i), uv.getY(i)];
+    }
+    if (Object.keys(corners).length !== 4) {
+        return null;
+    }
+
+    // The UVs have to be a whole texture, turned or flipped but not stretched: u = su * s + tu * t + u0
+    const origin = corners['0,0'];
+    const alongS = corners['1,0'].map((value, k) => value - origin[k]);
+    const alongT = corners['0,1'].map((value, k) => value - origin[k]);
+    const far = corners['1,1'];
+    for (let k = 0; k < 2; k++) {
+        if (Math.abs(origin[k] + alongS[k] + alongT[k] - far[k]) > EPSILON) {
+            return null;
+        }
+        if (![origin[k], alongS[k], alongT[k]].every(isWhole)) {
+            return null;
+        }
+    }
+    if (Math.abs(Math.abs(alongS[0] * alongT[1] - alongS[1] * alongT[0]) - 1) > EPSILON) {
+        return null;
+    }
+
+    const mapping = [...origin, ...alongS, ...alongT].map(Math.round);
+    const color = material.color;
+    return {
+        region: region,
+        color: color,
+        mapping: mapping,
+        // Faces with the same key can be merged
+        key: `${region.page},${region.u0},${region.v0},${color.getHexString()},${mapping.join(',')}`
+    };
+}
+
+// Describe the six faces of a block model for greedy meshing, or return null if the model is not a plain
+// full cube. geometries maps cullface directions to the model's faces, like in the renderer
+export function getGreedyFaces(geometries, materials, atlas) {
+    if (geometries.size !== 6 || geometries.has(null)) {
+        return null;
+    }
+    const faces = {};
+    for (const direction of Object.keys(FACE_AXES)) {
+        const geometry = geometries.get(direction);
+        const face = geometry ? describeFace(direction, geometry, materials, atlas) : null;
+        if (face === null) {
+            return null;
+        }
+        faces[direction] = face;
+    }
+    return faces;
+}
+
+// Build the greedy meshed geometry. size is [width, height, length], getFace(x, y, z, direction) returns the
+// face to draw there (from getGreedyFaces) or null. Returns the geometry, with a group per atlas page, and
+// how many block faces went into it
+export function buildGreedyGeometry(size, getFace) {
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const colors = [];
+    const tileRects = [];
+    const indicesByPage = [];
+    let vertexCount = 0;
+    let faceCount = 0;
+
+    for (const [direction, axes] of Object.entries(FACE_AXES)) {
+        const sizeS = size[axes.s];
+        const sizeT = size[axes.t];
+        const keys = new Array(sizeS * sizeT);
+        const faces = new Array(sizeS * sizeT);
+
+        for (let layer = 0; layer < size[axes.normal]; layer++) {
+            // Collect the faces in this layer
+            const position = [0, 0, 0];
+            position[axes.normal] = layer;
+            for (let t = 0; t < sizeT; t++) {
+                for (let s = 0; s < sizeS; s++) {
+                    position[axes.s] = s;
+                    position[axes.t] = t;
+                    const face = getFace(position[0], position[1], position[2], direction);
+                    faces[t * sizeS + s] = face;
+                    keys[t * sizeS + s] = face ? face.key : null;
+                    if (face) {
+                        faceCount++;
+                    }
+                }
+            }
+
+            // Grow a rectangle from each face not merged yet, first along s then along t
+            for (let t = 0; t < sizeT; t++) {
+                for (let s = 0; s < sizeS; s++) {
+                    const key = keys[t * sizeS + s];
+                    if (key === null) {
+                        continue;
+                    }
+                    let width = 1;
+                    while (s + width < sizeS && keys[t * sizeS + s + width] === key) {
+                        width++;
+                    }
+                    let height = 1;
+                    while (t + height < sizeT) {
+                        let rowMatches = true;
+                        for (let k = 0; k < width; k++) {
+                            if (keys[(t + height) * sizeS + s + k] !== key) {
+                                rowMatches = false;
+                                break;
+                            }
+                        }
+                        if (!rowMatches) {
+                            break;
+                        }
+                        height++;
+                    }
+                    for (let dt = 0; dt < height; dt++) {
+                        for (let ds = 0; ds < width; ds++) {
+                            keys[(t + dt) * sizeS + s + ds] = null;
+                        }
+                    }
+
+                    // Add the quad. Blocks are centered on their position, so the faces sit half a block out
+                    const face = faces[t * sizeS + s];
+                    const [u0, v0, su, sv, tu, tv] = face.mapping;
+                    const normal = [0, 0, 0];
+                    normal[axes.normal] = axes.sign;
+                    const corners = [[0, 0], [width, 0], [0, height], [width, height]];
+                    for (const [cs, ct] of corners) {
+                        const corner = [0, 0, 0];
+                        corner[axes.normal] = layer + axes.sign * 0.5;
+                        corner[axes.s] = s + cs - 0.5;
+                        corner[axes.t] = t + ct - 0.5;
+                        positions.push(...corner);
+                        normals.push(...normal);
+                        uvs.push(u0 + su * cs + tu * ct, v0 + sv * cs + tv * ct);
+                        colors.push(face.color.r, face.color.g, face.color.b);
+                        tileRects.push(face.region.u0, face.region.v0, face.region.u1 - face.region.u0, face.region.v1 - face.region.v0);
+                    }
+
+                    // Wind the triangles so they face outwards
+                    const page = face.region.page;
+                    if (!indicesByPage[page]) {
+                        indicesByPage[page] = [];
+                    }
+                    const flip = (axes.sign > 0) !== ((axes.s + 1) % 3 === axes.t);
+                    const v = vertexCount;
+                    if (flip) {
+                        indicesByPage[page].push(v, v + 2, v + 1, v + 1, v + 2, v + 3);
+                    } else {
+                        indicesByPage[page].push(v, v + 1, v + 2, v + 1, v + 3, v + 2);
+                    }
+                    vertexCount += 4;
+                }
+            }
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setAttribute('tileRect', new THREE.Float32BufferAttribute(tileRects, 4));
+    const indices = [];
+    indicesByPage.forEach((pageIndices, page) => {
+        if (pageIndices && pageIndices.length > 0) {
+            geometry.addGroup(indices.length, pageIndices.length, page);
+            for (const index of pageIndices) {
+                indices.push(index);
+            }
+        }
+    });
+    geometry.setIndex(indices);
+    return { geometry, faces: faceCount };
+}
@@ -0,0 +1,98 @@
+// Reads the different kinds of input we accept (URLs, Responses, Blobs/Files, ArrayBuffers,
+// typed arrays and ReadableStreams) into an ArrayBuffer.
+//
+// options.fetchOptions is passed through to fetch() for URLs (headers, credentials...), and
+// options.signal is an AbortSignal that cancels fetching and reading
+
+// Throw if the signal has been aborted, with the same error fetch() would use
+function checkAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason !== undefined ? signal.reason : new DOMException('The operation was aborted.', 'AbortError');
+    }
+}
+
+async function readResponse(response, signal) {
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${response.url || 'schematic'}: ${response.status} ${response.statusText}`);
+    }
+    const buffer = await response.arrayBuffer();
+    checkAborted(signal);
+    return buffer;
+}
+
+async function readStream(stream, signal) {
+    const reader = stream.getReader();
+    const chunks = [];
+    let size = 0;
+    try {
+        while (true) {
+            checkAborted(signal);
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            chunks.push(value);
+            size += value.byteLength;
+        }
+    } catch (error) {
+        reader.cancel(error).catch(() => {});
+        throw error;
+    } finally {
+        reader.releaseLock();
+    }
+
+    const data = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return data.buffer;
+}
+
+export async function readInput(input, options = {}) {
+    const signal = options.signal;
+    checkAborted(signal);
+
+    if (input === undefined || input === null) {
+        throw new Error('No input given');
+    }
+    if (typeof input === 'string' || (typeof URL !== 'undefined' && input instanceof URL)) {
+        const response = await fetch(input, Object.assign({}, options.fetchOptions, signal ? { signal } : {}));
+        return readResponse(response, signal);
+    }
+    if (typeof Response !== 'undefined' && input instanceof Response) {
+        return readResponse(input, signal);
+    }
+    if (input instanceof ArrayBuffer) {
+        return input;
+    }
+    if (ArrayBuffer.isView(input)) {
+        // Copy out just the viewed bytes, the view may only cover part of its buffer
+        return input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+    }
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+        const buffer = await input.arrayBuffer();
+        checkAborted(signal);
+        return buffer;
+    }
+    if (typeof ReadableStream !== 'undefined' && input instanceof ReadableStream) {
+        return readStream(input, signal);
+    }
+    throw new Error('Unsupported input: expected a URL, Response, ArrayBuffer, typed array, Blob or ReadableStream');
+}
+
+// Get a file name for the input where there is one, used to tell formats apart by extension
+export function getInputName(input) {
+    if (typeof input === 'string' || (typeof URL !== 'undefined' && input instanceof URL)) {
+        const path = String(input).split(/[?#]/)[0];
+        return decodeURIComponent(path.substring(path.lastIndexOf('/') + 1));
+    }
+    if (typeof Response !== 'undefined' && input instanceof Response) {
+        return getInputName(input.url);
+    }
+    if (input && typeof input.name === 'string') {
+        return input.name;
+    }
+    return '';
+}
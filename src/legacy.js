@@ -0,0 +1,549 @@
+// Maps the numeric block ids and data values of pre-1.13 worlds and MCEdit/Schematica .schematic files to
+// the flattened block states of current versions, following the game's own upgrade. State the old
+// format kept in neighbouring blocks (fence connections, stair shapes) or in block entities (bed and
+// banner colours, skull types, flower pot contents) isn't recovered: blocks get their default look
+
+import BlockState from './blockstate.js';
+
+// The pre-1.13 names of the ids, as found in Schematica's id mapping. Ids 253 and 254 were never used
+const LEGACY_NAMES = [
+    'air', 'stone', 'grass', 'dirt', 'cobblestone', 'planks', 'sapling', 'bedrock', 'flowing_water', 'water',
+    'flowing_lava', 'lava', 'sand', 'gravel', 'gold_ore', 'iron_ore', 'coal_ore', 'log', 'leaves', 'sponge',
+    'glass', 'lapis_ore', 'lapis_block', 'dispenser', 'sandstone', 'noteblock', 'bed', 'golden_rail',
+    'detector_rail', 'sticky_piston', 'web', 'tallgrass', 'deadbush', 'piston', 'piston_head', 'wool',
+    'piston_extension', 'yellow_flower', 'red_flower', 'brown_mushroom', 'red_mushroom', 'gold_block',
+    'iron_block', 'double_stone_slab', 'stone_slab', 'brick_block', 'tnt', 'bookshelf', 'mossy_cobblestone',
+    'obsidian', 'torch', 'fire', 'mob_spawner', 'oak_stairs', 'chest', 'redstone_wire', 'diamond_ore',
+    'diamond_block', 'crafting_table', 'wheat', 'farmland', 'furnace', 'lit_furnace', 'standing_sign',
+    'wooden_door', 'ladder', 'rail', 'stone_stairs', 'wall_sign', 'lever', 'stone_pressure_plate', 'iron_door',
+    'wooden_pressure_plate', 'redstone_ore', 'lit_redstone_ore', 'unlit_redstone_torch', 'redstone_torch',
+    'stone_button', 'snow_layer', 'ice', 'snow', 'cactus', 'clay', 'reeds', 'jukebox', 'fence', 'pumpkin',
+    'netherrack', 'soul_sand', 'glowstone', 'portal', 'lit_pumpkin', 'cake', 'unpowered_repeater',
+    'powered_repeater', 'stained_glass', 'trapdoor', 'monster_egg', 'stonebrick', 'brown_mushroom_block',
+    'red_mushroom_block', 'iron_bars', 'glass_pane', 'melon_block', 'pumpkin_stem', 'melon_stem', 'vine',
+    'fence_gate', 'brick_stairs', 'stone_brick_stairs', 'mycelium', 'waterlily', 'nether_brick',
+    'nether_brick_fence', 'nether_brick_stairs', 'nether_wart', 'enchanting_table', 'brewing_stand', 'cauldron',
+    'end_portal', 'end_portal_frame', 'end_stone', 'dragon_egg', 'redstone_lamp', 'lit_redstone_lamp',
+    'double_wooden_slab', 'wooden_slab', 'cocoa', 'sandstone_stairs', 'emerald_ore', 'ender_chest',
+    'tripwire_hook', 'tripwire', 'emerald_block', 'spruce_stairs', 'birch_stairs', 'jungle_stairs',
+    'command_block', 'beacon', 'cobblestone_wall', 'flower_pot', 'carrots', 'potatoes', 'wooden_button', 'skull',
+    'anvil', 'trapped_chest', 'light_weighted_pressure_plate', 'heavy_weighted_pressure_plate',
+    'unpowered_comparator', 'powered_comparator', 'daylight_detector', 'redstone_block', 'quartz_ore', 'hopper',
+    'quartz_block', 'quartz_stairs', 'activator_rail', 'dropper', 'stained_hardened_clay', 'stained_glass_pane',
+    'leaves2', 'log2', 'acacia_stairs', 'dark_oak_stairs', 'slime', 'barrier', 'iron_trapdoor', 'prismarine',
+    'sea_lantern', 'hay_block', 'carpet', 'hardened_clay', 'coal_block', 'packed_ice', 'double_plant',
+    'standing_banner', 'wall_banner', 'daylight_detector_inverted', 'red_sandstone', 'red_sandstone_stairs',
+    'double_stone_slab2', 'stone_slab2', 'spruce_fence_gate', 'birch_fence_gate', 'jungle_fence_gate',
+    'dark_oak_fence_gate', 'acacia_fence_gate', 'spruce_fence', 'birch_fence', 'jungle_fence', 'dark_oak_fence',
+    'acacia_fence', 'spruce_door', 'birch_door', 'jungle_door', 'acacia_door', 'dark_oak_door', 'end_rod',
+    'chorus_plant', 'chorus_flower', 'purpur_block', 'purpur_pillar', 'purpur_stairs', 'purpur_double_slab',
+    'purpur_slab', 'end_bricks', 'beetroots', 'grass_path', 'end_gateway', 'repeating_command_block',
+    'chain_command_block', 'frosted_ice', 'magma', 'nether_wart_block', 'red_nether_brick', 'bone_block',
+    'structure_void', 'observer', 'white_shulker_box', 'orange_shulker_box', 'magenta_shulker_box',
+    'light_blue_shulker_box', 'yellow_shulker_box', 'lime_shulker_box', 'pink_shulker_box', 'gray_shulker_box',
+    'silver_shulker_box', 'cyan_shulker_box', 'purple_shulker_box', 'blue_shulker_box', 'brown_shulker_box',
+    'green_shulker_box', 'red_shulker_box', 'black_shulker_box', 'white_glazed_terracotta',
+    'orange_glazed_terracotta', 'magenta_glazed_terracotta', 'light_blue_glazed_terracotta',
+    'yellow_glazed_terracotta', 'lime_glazed_terracotta', 'pink_glazed_terracotta', 'gray_glazed_terracotta',
+    'silver_glazed_terracotta', 'cyan_glazed_terracotta', 'purple_glazed_terracotta', 'blue_glazed_terracotta',
+    'brown_glazed_terracotta', 'green_glazed_terracotta', 'red_glazed_terracotta', 'black_glazed_terracotta',
+    'concrete', 'concrete_powder', undefined, undefined, 'structure_block'
+];
+
+// key: legacy name without namespace, value: id
+const LEGACY_IDS = new Map(LEGACY_NAMES.map((name, id) => [name, id]).filter(([name]) => name !== undefined));
+
+const COLORS = [
+    'white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+    'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'
+];
+const WOODS = ['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak'];
+
+// Directions in the order blocks facing any way store them (pistons, dispensers, observers...)
+const FACINGS = ['down', 'up', 'north', 'south', 'west', 'east'];
+// Horizontal directions in the order most blocks facing sideways store them (beds, repeaters, fence gates...)
+const HORIZONTAL = ['south', 'west', 'north', 'east'];
+const AXES = ['y', 'x', 'z'];
+const RAIL_SHAPES = [
+    'north_south', 'east_west', 'ascending_east', 'ascending_west', 'ascending_north', 'ascending_south',
+    'south_east', 'south_west', 'north_west', 'north_east'
+];
+const SLABS = ['smooth_stone', 'sandstone', 'petrified_oak', 'cobblestone', 'brick', 'stone_brick', 'nether_brick', 'quartz'];
+// Full blocks that the double slabs with the top data bit set showed, for the slabs that had one
+const SMOOTH_DOUBLE_SLABS = { 0: 'smooth_stone', 1: 'smooth_sandstone', 7: 'smooth_quartz' };
+
+// Mushroom block data values to the sides showing the cap, in up, down, north, south, west, east order
+const MUSHROOM_SIDES = [
+    '000000', '101010', '101000', '101001', '100010', '100000', '100001', '100110', '100100', '100101',
+    '001111', '000000', '000000', '000000', '111111', '111111'
+];
+
+function state(name, properties) {
+    return new BlockState(`minecraft:${name}`, properties);
+}
+
+function bool(value) {
+    return value ? 'true' : 'false';
+}
+
+// The facing of blocks attached to a wall, which stored the six directions but can only face sideways
+function wallFacing(data) {
+    const facing = FACINGS[data & 7];
+    return facing === undefined || facing === 'down' || facing === 'up' ? 'north' : facing;
+}
+
+function variants(names) {
+    return data => state(names[data] || names[0]);
+}
+
+function colored(suffix) {
+    return data => state(`${COLORS[data]}_${suffix}`);
+}
+
+function withAge(name, max) {
+    return data => state(name, { age: String(Math.min(data, max)) });
+}
+
+function pillar(name) {
+    return data => state(name, { axis: AXES[(data >> 2) & 3] || 'y' });
+}
+
+function log(woods) {
+    return data => {
+        const wood = woods[data & 3] || woods[0];
+        // The fourth axis value was bark on every side, a block of its own now
+        return (data >> 2) === 3 ? state(`${wood}_wood`, { axis: 'y' }) : state(`${wood}_log`, { axis: AXES[data >> 2] });
+    };
+}
+
+function leaves(woods) {
+    return data => state(`${woods[data & 3] || woods[0]}_leaves`, { distance: '7', persistent: bool(data & 4) });
+}
+
+function slab(names) {
+    return data => state(`${names[data & 7] || names[0]}_slab`, { type: data & 8 ? 'top' : 'bottom' });
+}
+
+function doubleSlab(names, smooth = {}) {
+    return data => {
+        if (data & 8 && smooth[data & 7] !== undefined) {
+            return state(smooth[data & 7]);
+        }
+        return state(`${names[data & 7] || names[0]}_slab`, { type: 'double' });
+    };
+}
+
+function stairs(name) {
+    return data => state(name, {
+        facing: ['east', 'west', 'south', 'north'][data & 3],
+        half: data & 4 ? 'top' : 'bottom',
+        shape: 'straight'
+    });
+}
+
+// Doors get the data of both halves (see mergeHalves): the lower one has the facing and whether the door
+// is open, the upper one the hinge side and whether it is powered
+function door(name) {
+    return data => {
+        const upper = (data & 8) !== 0;
+        const lowerData = upper ? data >> 4 : data & 15;
+        const upperData = upper ? data & 15 : data >> 4;
+        return state(name, {
+            facing: ['east', 'south', 'west', 'north'][lowerData & 3],
+            half: upper ? 'upper' : 'lower',
+            hinge: upperData & 1 ? 'right' : 'left',
+            open: bool(lowerData & 4),
+            powered: bool(upperData & 2)
+        });
+    };
+}
+
+function trapdoor(name) {
+    return data => state(name, {
+        facing: ['north', 'south', 'west', 'east'][data & 3],
+        half: data & 8 ? 'top' : 'bottom',
+        open: bool(data & 4)
+    });
+}
+
+function fenceGate(name) {
+    return data => state(name, { facing: HORIZONTAL[data & 3], in_wall: 'false', open: bool(data & 4), powered: 'false' });
+}
+
+// Fences, panes and bars, shown unconnected
+function connecting(name) {
+    return () => state(name, { north: 'false', south: 'false', west: 'false', east: 'false' });
+}
+
+function torch(standing, wall, properties = {}) {
+    return data => {
+        const facing = [undefined, 'east', 'west', 'south', 'north'][data & 7];
+        return facing === undefined
+            ? state(standing, properties)
+            : state(wall, Object.assign({ facing }, properties));
+    };
+}
+
+function button(name) {
+    return data => {
+        const facing = [undefined, 'east', 'west', 'south', 'north'][data & 7];
+        const face = facing !== undefined ? 'wall' : (data & 7) === 0 ? 'ceiling' : 'floor';
+        return state(name, { face, facing: facing || 'north', powered: bool(data & 8) });
+    };
+}
+
+function lever(data) {
+    const positions = [
+        ['ceiling', 'west'], ['wall', 'east'], ['wall', 'west'], ['wall', 'south'],
+        ['wall', 'north'], ['floor', 'north'], ['floor', 'west'], ['ceiling', 'north']
+    ];
+    const [face, facing] = positions[data & 7];
+    return state('lever', { face, facing, powered: bool(data & 8) });
+}
+
+function rail(name, powerable) {
+    return data => {
+        const properties = { shape: RAIL_SHAPES[powerable ? data & 7 : data] || 'north_south' };
+        if (powerable) {
+            properties.powered = bool(data & 8);
+        }
+        return state(name, properties);
+    };
+}
+
+function pressurePlate(name) {
+    return data => state(name, { powered: bool(data & 1) });
+}
+
+function piston(name) {
+    return data => state(name, { extended: bool(data & 8), facing: FACINGS[data & 7] || 'down' });
+}
+
+function facingAny(name, bit) {
+    return data => {
+        const properties = { facing: FACINGS[data & 7] || 'down' };
+        if (bit !== undefined) {
+            properties[bit] = bool(data & 8);
+        }
+        return state(name, properties);
+    };
+}
+
+function facingWall(name) {
+    return data => state(name, { facing: wallFacing(data) });
+}
+
+function facingHorizontal(name) {
+    return data => state(name, { facing: HORIZONTAL[data & 3] });
+}
+
+function repeater(powered) {
+    return data => state('repeater', {
+        delay: String((data >> 2) + 1),
+        facing: HORIZONTAL[data & 3],
+        locked: 'false',
+        powered: bool(powered)
+    });
+}
+
+function comparator(powered) {
+    return data => state('comparator', {
+        facing: HORIZONTAL[data & 3],
+        mode: data & 4 ? 'subtract' : 'compare',
+        powered: bool(powered || data & 8)
+    });
+}
+
+function mushroomBlock(name) {
+    return data => {
+        const sides = MUSHROOM_SIDES[data];
+        const properties = {};
+        ['up', 'down', 'north', 'south', 'west', 'east'].forEach((side, i) => {
+            properties[side] = bool(sides[i] === '1');
+        });
+        // 10 and 15 were the stem, with 15 showing it on every side
+        return state(data === 10 || data === 15 ? 'mushroom_stem' : name, properties);
+    };
+}
+
+// Tall plants get the data of both halves (see mergeHalves), the kind of plant is only in the lower one
+function doublePlant(data) {
+    const upper = (data & 8) !== 0;
+    const lowerData = upper ? data >> 4 : data & 15;
+    const names = ['sunflower', 'lilac', 'tall_grass', 'large_fern', 'rose_bush', 'peony'];
+    return state(names[lowerData & 7] || names[0], { half: upper ? 'upper' : 'lower' });
+}
+
+const CONVERTERS = {
+    0: 'air',
+    1: variants(['stone', 'granite', 'polished_granite', 'diorite', 'polished_diorite', 'andesite', 'polished_andesite']),
+    2: () => state('grass_block', { snowy: 'false' }),
+    3: data => (data === 2 ? state('podzol', { snowy: 'false' }) : state(data === 1 ? 'coarse_dirt' : 'dirt')),
+    4: 'cobblestone',
+    5: data => state(`${WOODS[data & 7] || 'oak'}_planks`),
+    6: data => state(`${WOODS[data & 7] || 'oak'}_sapling`, { stage: String((data >> 3) & 1) }),
+    7: 'bedrock',
+    8: data => state('water', { level: String(data) }),
+    9: data => state('water', { level: String(data) }),
+    10: data => state('lava', { level: String(data) }),
+    11: data => state('lava', { level: String(data) }),
+    12: variants(['sand', 'red_sand']),
+    13: 'gravel',
+    14: 'gold_ore',
+    15: 'iron_ore',
+    16: 'coal_ore',
+    17: log(['oak', 'spruce', 'birch', 'jungle']),
+    18: leaves(['oak', 'spruce', 'birch', 'jungle']),
+    19: variants(['sponge', 'wet_sponge']),
+    20: 'glass',
+    21: 'lapis_ore',
+    22: 'lapis_block',
+    23: facingAny('dispenser', 'triggered'),
+    24: variants(['sandstone', 'chiseled_sandstone', 'cut_sandstone']),
+    25: 'note_block',
+    // Bed colours were kept in the block entity, red was the default
+    26: data => state('red_bed', { facing: HORIZONTAL[data & 3], occupied: bool(data & 4), part: data & 8 ? 'head' : 'foot' }),
+    27: rail('powered_rail', true),
+    28: rail('detector_rail', true),
+    29: piston('sticky_piston'),
+    30: 'cobweb',
+    31: variants(['dead_bush', 'short_grass', 'fern']),
+    32: 'dead_bush',
+    33: piston('piston'),
+    34: data => state('piston_head', { facing: FACINGS[data & 7] || 'down', short: 'false', type: data & 8 ? 'sticky' : 'normal' }),
+    35: colored('wool'),
+    36: data => state('moving_piston', { facing: FACINGS[data & 7] || 'down', type: data & 8 ? 'sticky' : 'normal' }),
+    37: 'dandelion',
+    38: variants(['poppy', 'blue_orchid', 'allium', 'azure_bluet', 'red_tulip', 'orange_tulip', 'white_tulip', 'pink_tulip', 'oxeye_daisy']),
+    39: 'brown_mushroom',
+    40: 'red_mushroom',
+    41: 'gold_block',
+    42: 'iron_block',
+    43: doubleSlab(SLABS, SMOOTH_DOUBLE_SLABS),
+    44: slab(SLABS),
+    45: 'bricks',
+    46: 'tnt',
+    47: 'bookshelf',
+    48: 'mossy_cobblestone',
+    49: 'obsidian',
+    50: torch('torch', 'wall_torch'),
+    51: data => state('fire', { age: String(data), north: 'false', south: 'false', west: 'false', east: 'false', up: 'false' }),
+    52: 'spawner',
+    53: stairs('oak_stairs'),
+    54: data => state('chest', { facing: wallFacing(data), type: 'single' }),
+    55: data => state('redstone_wire', { power: String(data), north: 'none', south: 'none', west: 'none', east: 'none' }),
+    56: 'diamond_ore',
+    57: 'diamond_block',
+    58: 'crafting_table',
+    59: withAge('wheat', 7),
+    60: data => state('farmland', { moisture: String(data & 7) }),
+    61: data => state('furnace', { facing: wallFacing(data), lit: 'false' }),
+    62: data => state('furnace', { facing: wallFacing(data), lit: 'true' }),
+    63: data => state('oak_sign', { rotation: String(data) }),
+    64: door('oak_door'),
+    65: facingWall('ladder'),
+    66: rail('rail', false),
+    67: stairs('cobblestone_stairs'),
+    68: facingWall('oak_wall_sign'),
+    69: lever,
+    70: pressurePlate('stone_pressure_plate'),
+    71: door('iron_door'),
+    72: pressurePlate('oak_pressure_plate'),
+    73: () => state('redstone_ore', { lit: 'false' }),
+    74: () => state('redstone_ore', { lit: 'true' }),
+    75: torch('redstone_torch', 'redstone_wall_torch', { lit: 'false' }),
+    76: torch('redstone_torch', 'redstone_wall_torch', { lit: 'true' }),
+    77: button('stone_button'),
+    78: data => state('snow', { layers: String((data & 7) + 1) }),
+    79: 'ice',
+    80: 'snow_block',
+    81: withAge('cactus', 15),
+    82: 'clay',
+    83: withAge('sugar_cane', 15),
+    84: 'jukebox',
+    85: connecting('oak_fence'),
+    // Pumpkins always had a face before 1.13
+    86: facingHorizontal('carved_pumpkin'),
+    87: 'netherrack',
+    88: 'soul_sand',
+    89: 'glowstone',
+    90: data => state('nether_portal', { axis: data === 2 ? 'z' : 'x' }),
+    91: facingHorizontal('jack_o_lantern'),
+    92: data => state('cake', { bites: String(Math.min(data, 6)) }),
+    93: repeater(false),
+    94: repeater(true),
+    95: colored('stained_glass'),
+    96: trapdoor('oak_trapdoor'),
+    97: variants(['infested_stone', 'infested_cobblestone', 'infested_stone_bricks', 'infested_mossy_stone_bricks', 'infested_cracked_stone_bricks', 'infested_chiseled_stone_bricks']),
+    98: variants(['stone_bricks', 'mossy_stone_bricks', 'cracked_stone_bricks', 'chiseled_stone_bricks']),
+    99: mushroomBlock('brown_mushroom_block'),
+    100: mushroomBlock('red_mushroom_block'),
+    101: connecting('iron_bars'),
+    102: connecting('glass_pane'),
+    103: 'melon',
+    104: withAge('pumpkin_stem', 7),
+    105: withAge('melon_stem', 7),
+    106: data => state('vine', { south: bool(data & 1), west: bool(data & 2), north: bool(data & 4), east: bool(data & 8), up: bool(data === 0) }),
+    107: fenceGate('oak_fence_gate'),
+    108: stairs('brick_stairs'),
+    109: stairs('stone_brick_stairs'),
+    110: () => state('mycelium', { snowy: 'false' }),
+    111: 'lily_pad',
+    112: 'nether_bricks',
+    113: connecting('nether_brick_fence'),
+    114: stairs('nether_brick_stairs'),
+    115: withAge('nether_wart', 3),
+    116: 'enchanting_table',
+    117: data => state('brewing_stand', { has_bottle_0: bool(data & 1), has_bottle_1: bool(data & 2), has_bottle_2: bool(data & 4) }),
+    118: data => (data === 0 ? state('cauldron') : state('water_cauldron', { level: String(Math.min(data, 3)) })),
+    119: 'end_portal',
+    120: data => state('end_portal_frame', { eye: bool(data & 4), facing: HORIZONTAL[data & 3] }),
+    121: 'end_stone',
+    122: 'dragon_egg',
+    123: () => state('redstone_lamp', { lit: 'false' }),
+    124: () => state('redstone_lamp', { lit: 'true' }),
+    125: doubleSlab(WOODS),
+    126: slab(WOODS),
+    127: data => state('cocoa', { age: String(Math.min(data >> 2, 2)), facing: HORIZONTAL[data & 3] }),
+    128: stairs('sandstone_stairs'),
+    129: 'emerald_ore',
+    130: facingWall('ender_chest'),
+    131: data => state('tripwire_hook', { attached: bool(data & 4), facing: HORIZONTAL[data & 3], powered: bool(data & 8) }),
+    132: data => state('tripwire', {
+        attached: bool(data & 4), disarmed: bool(data & 8), powered: bool(data & 1),
+        north: 'false', south: 'false', west: 'false', east: 'false'
+    }),
+    133: 'emerald_block',
+    134: stairs('spruce_stairs'),
+    135: stairs('birch_stairs'),
+    136: stairs('jungle_stairs'),
+    137: facingAny('command_block', 'conditional'),
+    138: 'beacon',
+    139: data => state(data === 1 ? 'mossy_cobblestone_wall' : 'cobblestone_wall', { up: 'true', north: 'none', south: 'none', west: 'none', east: 'none' }),
+    140: 'flower_pot',
+    141: withAge('carrots', 7),
+    142: withAge('potatoes', 7),
+    143: button('oak_button'),
+    // Skull types were kept in the block entity, floor skulls their rotation too
+    144: data => {
+        const facing = wallFacing(data);
+        return (data & 7) <= 1 ? state('skeleton_skull', { rotation: '0' }) : state('skeleton_wall_skull', { facing });
+    },
+    145: data => state(['anvil', 'chipped_anvil', 'damaged_anvil'][(data >> 2) & 3] || 'anvil', { facing: HORIZONTAL[data & 3] }),
+    146: data => state('trapped_chest', { facing: wallFacing(data), type: 'single' }),
+    147: data => state('light_weighted_pressure_plate', { power: String(data) }),
+    148: data => state('heavy_weighted_pressure_plate', { power: String(data) }),
+    149: comparator(false),
+    150: comparator(true),
+    151: data => state('daylight_detector', { inverted: 'false', power: String(data) }),
+    152: 'redstone_block',
+    153: 'nether_quartz_ore',
+    154: data => state('hopper', { enabled: bool(!(data & 8)), facing: (data & 7) === 0 ? 'down' : wallFacing(data) }),
+    155: data => {
+        if (data >= 2 && data <= 4) {
+            return state('quartz_pillar', { axis: AXES[data - 2] });
+        }
+        return state(data === 1 ? 'chiseled_quartz_block' : 'quartz_block');
+    },
+    156: stairs('quartz_stairs'),
+    157: rail('activator_rail', true),
+    158: facingAny('dropper', 'triggered'),
+    159: colored('terracotta'),
+    160: data => state(`${COLORS[data]}_stained_glass_pane`, { north: 'false', south: 'false', west: 'false', east: 'false' }),
+    161: leaves(['acacia', 'dark_oak']),
+    162: log(['acacia', 'dark_oak']),
+    163: stairs('acacia_stairs'),
+    164: stairs('dark_oak_stairs'),
+    165: 'slime_block',
+    166: 'barrier',
+    167: trapdoor('iron_trapdoor'),
+    168: variants(['prismarine', 'prismarine_bricks', 'dark_prismarine']),
+    169: 'sea_lantern',
+    170: pillar('hay_block'),
+    171: colored('carpet'),
+    172: 'terracotta',
+    173: 'coal_block',
+    174: 'packed_ice',
+    175: doublePlant,
+    // Banner colours and patterns were kept in the block entity
+    176: data => state('white_banner', { rotation: String(data) }),
+    177: facingWall('white_wall_banner'),
+    178: data => state('daylight_detector', { inverted: 'true', power: String(data) }),
+    179: variants(['red_sandstone', 'chiseled_red_sandstone', 'cut_red_sandstone']),
+    180: stairs('red_sandstone_stairs'),
+    181: doubleSlab(['red_sandstone'], { 0: 'smooth_red_sandstone' }),
+    182: slab(['red_sandstone']),
+    183: fenceGate('spruce_fence_gate'),
+    184: fenceGate('birch_fence_gate'),
+    185: fenceGate('jungle_fence_gate'),
+    186: fenceGate('dark_oak_fence_gate'),
+    187: fenceGate('acacia_fence_gate'),
+    188: connecting('spruce_fence'),
+    189: connecting('birch_fence'),
+    190: connecting('jungle_fence'),
+    191: connecting('dark_oak_fence'),
+    192: connecting('acacia_fence'),
+    193: door('spruce_door'),
+    194: door('birch_door'),
+    195: door('jungle_door'),
+    196: door('acacia_door'),
+    197: door('dark_oak_door'),
+    198: facingAny('end_rod'),
+    199: () => state('chorus_plant', { up: 'false', down: 'false', north: 'false', south: 'false', west: 'false', east: 'false' }),
+    200: withAge('chorus_flower', 5),
+    201: 'purpur_block',
+    202: pillar('purpur_pillar'),
+    203: stairs('purpur_stairs'),
+    204: () => state('purpur_slab', { type: 'double' }),
+    205: data => state('purpur_slab', { type: data & 8 ? 'top' : 'bottom' }),
+    206: 'end_stone_bricks',
+    207: withAge('beetroots', 3),
+    208: 'dirt_path',
+    209: 'end_gateway',
+    210: facingAny('repeating_command_block', 'conditional'),
+    211: facingAny('chain_command_block', 'conditional'),
+    212: withAge('frosted_ice', 3),
+    213: 'magma_block',
+    214: 'nether_wart_block',
+    215: 'red_nether_bricks',
+    216: pillar('bone_block'),
+    217: 'structure_void',
+    218: facingAny('observer', 'powered'),
+    251: colored('concrete'),
+    252: colored('concrete_powder'),
+    255: data => state('structure_block', { mode: ['save', 'load', 'corner', 'data'][data] || 'save' })
+};
+
+// Shulker boxes and glazed terracotta come in every colour, each with its own id
+COLORS.forEach((color, i) => {
+    CONVERTERS[219 + i] = data => state(`${color}_shulker_box`, { facing: FACINGS[data & 7] || 'up' });
+    CONVERTERS[235 + i] = facingHorizontal(`${color}_glazed_terracotta`);
+});
+
+// Doors and tall plants, whose halves only make sense together, see mergeHalves
+const TWO_BLOCKS_TALL = new Set([64, 71, 175, 193, 194, 195, 196, 197]);
+
+export function isTwoBlocksTall(id) {
+    return TWO_BLOCKS_TALL.has(id);
+}
+
+// Combine the data of one half of a door or tall plant with the other half's, for convertLegacyBlock.
+// The upper half is the one with the 8 bit set, and the other half is the block above or below it
+export function mergeHalves(data, otherData) {
+    return (data & 15) | ((otherData & 15) << 4);
+}
+
+// Get the id of a pre-1.13 block name like "minecraft:wool", or undefined when it isn't one
+export function getLegacyId(name) {
+    return LEGACY_IDS.get(name.startsWith('minecraft:') ? name.substring('minecraft:'.length) : name);
+}
+
+// Convert a block id and data value to a BlockState, or null for ids the game never used. Ids of doors
+// and tall plants need the data of both halves, see mergeHalves
+export default function convertLegacyBlock(id, data) {
+    const converter = CONVERTERS[id];
+    if (converter === undefined) {
+        return null;
+    }
+    return typeof converter === 'string' ? state(converter) : converter(data);
+}
@@ -26,7 +26,7 @@
 	/** @exports nbt */
 
 	var nbt = this;
-	var zlib = typeof require !== 'undefined' ? require('zlib') : window.zlib;
+	var zlib = typeof require !== 'undefined' ? require('zlib') : self.zlib;
 
 	/**
 	 * A mapping from type names to NBT type numbers.
@@ -379,16 +379,26 @@
 	 * @constructor
 	 * @see module:nbt.Writer
 	 *
+	 * @param {ArrayBuffer|Buffer} buffer
+	 * @param {boolean} [littleEndian=false] - read little-endian values,
+	 *     as used by Bedrock Edition
+	 *
 	 * @example
 	 * var reader = new nbt.Reader(buf);
 	 * int x = reader.int();
 	 * int y = reader[3]();
 	 * int z = reader[nbt.tagTypes.int](); */
-	nbt.Reader = function(buffer) {
+	nbt.Reader = function(buffer, littleEndian) {
 		if (!buffer) { throw new Error('Argument "buffer" is falsy'); }
 
 		var self = this;
 
+		/**
+		 * Whether multi-byte values are read as little-endian.
+		 *
+		 * @type boolean */
+		this.littleEndian = !!littleEndian;
+
 		/**
 		 * The current location in the buffer. Can be freely changed
 		 * within the bounds of the buffer.
@@ -400,7 +410,7 @@
 		var dataView = new DataView(arrayView.buffer);
 
 		function read(dataType, size) {
-			var val = dataView['get' + dataType](self.offset);
+			var val = dataView['get' + dataType](self.offset, self.littleEndian);
 			self.offset += size;
 			return val;
 		}
@@ -443,6 +453,10 @@
 		 * @method module:nbt.Reader#long
 		 * @returns {Array.<number>} [upper, lower] */
 		this[nbt.tagTypes.long] = function() {
+			if (this.littleEndian) {
+				var lower = this.int();
+				return [this.int(), lower];
+			}
 			return [this.int(), this.int()];
 		};
 
@@ -580,6 +594,8 @@
 
 	/**
 	 * @param {ArrayBuffer|Buffer} data - an uncompressed NBT archive
+	 * @param {boolean} [littleEndian=false] - whether the archive is
+	 *     little-endian (Bedrock Edition)
 	 * @returns {{name: string, value: Object.<string, Object>}}
 	 *     a named compound
 	 *
@@ -591,10 +607,10 @@
 	 * // -> { name: 'My Level',
 	 * //      value: { foo: { type: int, value: 42 },
 	 * //               bar: { type: string, value: 'Hi!' }}} */
-	nbt.parseUncompressed = function(data) {
+	nbt.parseUncompressed = function(data, littleEndian) {
 		if (!data) { throw new Error('Argument "data" is falsy'); }
 
-		var reader = new nbt.Reader(data);
+		var reader = new nbt.Reader(data, littleEndian);
 
 		var type = reader.byte();
 		if (type !== nbt.tagTypes.compound) {
@@ -626,6 +642,8 @@
 	 *
 	 * @param {ArrayBuffer|Buffer} data - gzipped or uncompressed data
 	 * @param {parseCallback} callback
+	 * @param {boolean} [littleEndian=false] - whether the archive is
+	 *     little-endian (Bedrock Edition)
 	 *
 	 * @see module:nbt.parseUncompressed
 	 * @see module:nbt.Reader#compound
@@ -638,13 +656,13 @@
 	 *     console.log(result.name);
 	 *     console.log(result.value.foo);
 	 * }); */
-	nbt.parse = function(data, callback) {
+	nbt.parse = function(data, callback, littleEndian) {
 		if (!data) { throw new Error('Argument "data" is falsy'); }
 
 		var self = this;
 
 		if (!hasGzipHeader(data)) {
-			callback(null, self.parseUncompressed(data));
+			callback(null, self.parseUncompressed(data, littleEndian));
 		} else if (!zlib) {
 			callback(new Error('NBT archive is compressed but zlib is not ' +
 				'available'), null);
@@ -666,9 +684,10 @@
 				if (error) {
 					callback(error, null);
 				} else {
-					callback(null, self.parseUncompressed(uncompressed));
+					callback(null, self.parseUncompressed(uncompressed,
+						littleEndian));
 				}
 			});
 		}
 	};
-}).apply(typeof exports !== 'undefined' ? exports : (window.nbt = {}));
\ No newline at end of file
+}).apply(typeof exports !== 'undefined' ? exports : (self.nbt = {}));
\ No newline at end of file
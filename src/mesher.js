@@ -0,0 +1,773 @@
+import * as THREE from './lib/three.js';
+import loadModel, { selectVariant } from "./models.js";
+import createAtlas, { applyAtlas, getPagePixels } from "./atlas.js";
+import { getGreedyFaces, buildGreedyGeometry } from "./greedy.js";
+import { getCullingRules, getCoveredSides, DIRECTION_OFFSETS, OPPOSITE_DIRECTIONS } from "./culling.js";
+import BlockState from "./blockstate.js";
+import getResourceSource from "./resources.js";
+import getTint, { isBiomeTinted, loadColormaps, DEFAULT_BIOME } from "./tint.js";
+
+// Turns a block grid into mesh data for the renderer: the sections' vertex buffers as typed arrays, and
+// the atlas pages as pixels. Nothing in it needs the DOM or WebGL, so it runs in the worker (see
+// worker.js), and everything it hands back can be transferred to the main thread without copying
+
+// Scenes are split into sections of 16x16x16 blocks like the game's, each its own group of meshes, so
+// three.js can skip the ones off screen and changing a block only rebuilds its section
+const SECTION_SIZE = 16;
+// Models repeated often enough are drawn instanced instead, over regions of 4x4x4 sections, so thousands
+// of torches or slabs spread through a build come to a handful of draw calls
+const INSTANCE_REGION_SIZE = 64;
+
+// Create a mesher for a BlockVolume. options are the render options (see render in renderer.js), plus
+// maxTextureSize to cap the atlas pages at. emitStats(type, data) is called with progress statistics.
+// build(onBatch) builds every section, passing them to onBatch a few at a time as { sections, pages }
+// and resolving with the totals at the end; update(changes) changes blocks and resolves with the rebuilt
+// sections, new pages and the new totals. Sections look like { key, coords, position, meshes, stats },
+// where each mesh is { type, geometry, matrices, count } and type is "merged" or "instanced" for meshes
+// using the atlas pages' materials, "greedy" for the tiled materials. The instanced meshes of a region
+// come as an entry of their own in the same list, with instances set to true (see buildInstances).
+// pages only holds the atlas pages added since the last call, as { size, pixels }
+export default function createMesher(blocks, resources, options = {}, emitStats = () => {}) {
+    const { width, height, length } = blocks;
+    // Everything needed to rebuild a section later
+    const state = {
+        blocks, width, height, length, resources, options,
+        // Unique block types, and their index by block state key (and biome, for blocks coloured by it)
+        types: [],
+        typeIndex: new Map(),
+        // The block type of each palette entry in each biome, by biome index then palette index, or -1 for
+        // air. Filled in as they are used
+        paletteTypes: [],
+        // The model variant picked for each position
+        variantGrid: new Uint16Array(width * height * length),
+        atlas: createAtlas([], { maxSize: options.maxTextureSize }),
+        // How many atlas pages have been handed out already
+        sentPages: 0,
+        cullingRules: getCullingRules(options),
+        // key: "x,y,z" section coordinates, value: the stats of its meshes
+        sections: new Map(),
+        // key: "x,y,z" instance region coordinates, value: { instanced, stats }, with the keys of the model
+        // variants drawn instanced in the region (see getInstanceKey) and the stats of those meshes
+        regions: new Map(),
+        skippedBlocks: {}
+    };
+
+    return {
+        async build(onBatch) {
+            const totalBlocks = blocks.count();
+            emitStats('render:start', {
+                dimensions: { width, height, length },
+                blockCount: totalBlocks
+            });
+
+            // Step 1: Collect the unique block types of the palette entries in use, in each biome
+            console.log('Collecting block data...');
+            const paletteSize = blocks.palette.length;
+            const used = new Uint8Array(paletteSize * (blocks.biomes ? blocks.biomes.palette.length : 1));
+            for (let i = 0; i < blocks.indices.length; i++) {
+                used[getBiomeIndex(state, i) * paletteSize + blocks.indices[i]] = 1;
+            }
+            used.forEach((isUsed, i) => {
+                if (isUsed) {
+                    getPaletteType(state, i % paletteSize, Math.floor(i / paletteSize));
+                }
+            });
+
+            emitStats('blocks:collected', {
+                uniqueBlockTypes: state.types.length,
+                totalBlocks: totalBlocks
+            });
+
+            console.log(`Found ${state.types.length} unique block types, loading models in parallel...`);
+
+            // Step 2: Load all unique block models in parallel (much faster than sequential)
+            await loadBlockTypes(state, state.types);
+            const loaded = state.types.filter(type => type.model).length;
+
+            // With a stack of resource packs, which pack each blockstate, model and texture came from
+            const origins = getResourceSource(state.resources).origins;
+            emitStats('models:loaded', {
+                loaded: loaded,
+                failed: state.types.length - loaded,
+                skippedBlocks: state.skippedBlocks,
+                assetSources: origins ? Object.fromEntries(origins) : undefined
+            });
+
+            console.log(`Loaded ${loaded} models, creating meshes...`);
+
+            // Step 3: Pack every texture the models use into an atlas, and move the model geometry onto it
+            const textureCount = prepareBlockTypes(state, state.types);
+
+            emitStats('atlas:built', {
+                textures: textureCount,
+                pages: state.atlas.pages.map(page => page.size)
+            });
+
+            // Pick the model variant shown at every position up front, neighbours need it for culling
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    for (let z = 0; z < length; z++) {
+                        pickVariant(state, x, y, z);
+                    }
+                }
+            }
+
+            // And which models each region has enough of to draw instanced, which the sections leave out
+            const regionCoords = getGridCoords(state, INSTANCE_REGION_SIZE);
+            for (const [rx, ry, rz] of regionCoords) {
+                updateInstancedModels(state, rx, ry, rz);
+            }
+
+            // Step 4: Build the sections and then the instanced meshes of the regions, handing them over a
+            // batch at a time so they show up progressively
+            const builds = [
+                ...getGridCoords(state, SECTION_SIZE).map(([sx, sy, sz]) => () => buildSection(state, sx, sy, sz)),
+                ...regionCoords.map(([rx, ry, rz]) => () => buildInstances(state, rx, ry, rz))
+            ];
+            const BATCH_SIZE = 16; // Build 16 sections at a time
+            for (let i = 0; i < builds.length; i += BATCH_SIZE) {
+                const sections = builds.slice(i, i + BATCH_SIZE).map(build => build());
+                onBatch({ sections, pages: takeNewPages(state) });
+
+                // Emit progress stats
+                const totals = getTotalStats(state);
+                emitStats('render:progress', {
+                    processed: Math.min(i + BATCH_SIZE, builds.length),
+                    total: builds.length,
+                    meshes: totals.meshes,
+                    vertices: totals.vertices,
+                    faces: totals.faces
+                });
+
+                // Yield so the page (or the worker's message queue) isn't held up
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            const totals = getTotalStats(state);
+            emitStats('render:complete', Object.assign({}, totals, { uniqueBlockTypes: state.types.length }));
+            return Object.assign(totals, { uniqueBlockTypes: state.types.length, skippedBlocks: state.skippedBlocks });
+        },
+
+        // changes is a list of { x, y, z, block } in grid coordinates, already checked to be inside it.
+        // Rebuilds the sections they are in, and the sections next to them when a change is on the
+        // border, since it can hide or show their faces. The instanced meshes of the regions they are in
+        // are rebuilt too, along with every section of a region where a model starts or stops being
+        // instanced
+        async update(changes) {
+            const typeCount = state.types.length;
+            const dirtySections = new Map();
+            const markDirty = (x, y, z) => {
+                if (x < 0 || y < 0 || z < 0 || x >= width || y >= height || z >= length) {
+                    return;
+                }
+                const coords = [x, y, z].map(value => Math.floor(value / SECTION_SIZE));
+                dirtySections.set(coords.join(','), coords);
+            };
+            for (const { x, y, z, block } of changes) {
+                blocks.set(x, y, z, block);
+                getPositionType(state, blocks.index(x, y, z));
+                markDirty(x, y, z);
+                for (const [dx, dy, dz] of Object.values(DIRECTION_OFFSETS)) {
+                    markDirty(x + dx, y + dy, z + dz);
+                }
+            }
+
+            // Load any block types we haven't seen before
+            const newTypes = state.types.slice(typeCount);
+            if (newTypes.length > 0) {
+                await loadBlockTypes(state, newTypes);
+                prepareBlockTypes(state, newTypes);
+            }
+            const dirtyRegions = new Map();
+            for (const { x, y, z } of changes) {
+                pickVariant(state, x, y, z);
+                const coords = [x, y, z].map(value => Math.floor(value / INSTANCE_REGION_SIZE));
+                dirtyRegions.set(coords.join(','), coords);
+            }
+            for (const [rx, ry, rz] of dirtyRegions.values()) {
+                if (!updateInstancedModels(state, rx, ry, rz)) {
+                    continue;
+                }
+                const regionSections = INSTANCE_REGION_SIZE / SECTION_SIZE;
+                for (let sy = ry * regionSections; sy < (ry + 1) * regionSections; sy++) {
+                    for (let sx = rx * regionSections; sx < (rx + 1) * regionSections; sx++) {
+                        for (let sz = rz * regionSections; sz < (rz + 1) * regionSections; sz++) {
+                            markDirty(sx * SECTION_SIZE, sy * SECTION_SIZE, sz * SECTION_SIZE);
+                        }
+                    }
+                }
+            }
+
+            const sections = [
+                ...Array.from(dirtySections.values()).map(([sx, sy, sz]) => buildSection(state, sx, sy, sz)),
+                ...Array.from(dirtyRegions.values()).map(([rx, ry, rz]) => buildInstances(state, rx, ry, rz))
+            ];
+            return { sections, pages: takeNewPages(state), totals: getTotalStats(state) };
+        },
+
+        // Nothing to free here, it is all garbage collected with the mesher. The remote mesher has the same
+        // interface and does need it
+        dispose() {}
+    };
+}
+
+// Get the typed arrays in a batch of sections (or an update), to transfer them instead of copying
+export function getTransferables(batch) {
+    const buffers = [];
+    for (const page of batch.pages) {
+        buffers.push(page.pixels.buffer);
+    }
+    for (const section of batch.sections) {
+        for (const mesh of section.meshes) {
+            for (const attribute of Object.values(mesh.geometry.attributes)) {
+                buffers.push(attribute.array.buffer);
+            }
+            buffers.push(mesh.geometry.index.buffer);
+            if (mesh.matrices) {
+                buffers.push(mesh.matrices.buffer);
+            }
+        }
+    }
+    return buffers;
+}
+
+// Read out the atlas pages added since the last call
+function takeNewPages(state) {
+    const pages = state.atlas.pages.slice(state.sentPages).map(page => ({
+        size: page.size,
+        pixels: getPagePixels(page)
+    }));
+    state.sentPages = state.atlas.pages.length;
+    return pages;
+}
+
+// Get the index of the biome at a position in the blocks' biome palette, 0 without biome data
+function getBiomeIndex(state, index) {
+    const biomes = state.blocks.biomes;
+    return biomes ? biomes.indices[index] : 0;
+}
+
+// Get the block type of a palette entry in a biome, or -1 for air
+function getPaletteType(state, paletteIndex, biomeIndex) {
+    if (state.paletteTypes[biomeIndex] === undefined) {
+        state.paletteTypes[biomeIndex] = [];
+    }
+    let type = state.paletteTypes[biomeIndex][paletteIndex];
+    if (type === undefined) {
+        const block = state.blocks.palette[paletteIndex];
+        type = block.name === "minecraft:air" ? -1 : getBlockType(state, block, biomeIndex);
+        state.paletteTypes[biomeIndex][paletteIndex] = type;
+    }
+    return type;
+}
+
+// Get the block type at a position in the blocks' indices, or -1 for air
+function getPositionType(state, index) {
+    return getPaletteType(state, state.blocks.indices[index], getBiomeIndex(state, index));
+}
+
+// Get the index of a block's type in state.types, adding the type if it is new
+function getBlockType(state, block, biomeIndex) {
+    // Waxed blocks look the same as the unwaxed ones, so they share a type
+    if (block.namespace === "minecraft" && block.path.startsWith("waxed_")) {
+        block = new BlockState(`${block.namespace}:${block.path.substring(6)}`, block.properties);
+    }
+
+    // Blocks with equal states (including properties for rotation) share a type. Blocks coloured by
+    // their biome get one per biome, the colour is part of their geometry
+    const biomes = state.blocks.biomes;
+    const biome = (biomes && biomes.palette[biomeIndex]) || state.options.biome || DEFAULT_BIOME;
+    const key = isBiomeTinted(block) ? `${block.key}@${biome}` : block.key;
+    if (!state.typeIndex.has(key)) {
+        state.typeIndex.set(key, state.types.length);
+        state.types.push({
+            block: block,
+            biome: biome,
+            // Used in warnings and skippedBlocks, mod blocks keep their namespace to tell them apart
+            blockName: block.namespace === "minecraft" ? block.path : block.name,
+            // Set by loadBlockTypes and prepareBlockTypes
+            model: undefined,
+            variants: []
+        });
+    }
+    return state.typeIndex.get(key);
+}
+
+// Load the models of block types in parallel, and colour their tinted faces
+async function loadBlockTypes(state, types) {
+    await Promise.all(types.map(type => {
+        return loadModel(type.block, state.resources).then(model => {
+            type.model = model;
+        }).catch(error => {
+            console.warn(`Failed to load model for ${type.blockName}:`, error);
+            if (!state.skippedBlocks[type.blockName]) state.skippedBlocks[type.blockName] = 0;
+            state.skippedBlocks[type.blockName]++;
+            type.model = null;
+        });
+    }));
+    const colormaps = await loadColormaps(state.resources);
+    for (const type of types) {
+        const tint = type.model ? getTint(type.block, type.biome, colormaps) : null;
+        if (tint === null) {
+            continue;
+        }
+        for (const variant of type.model.variants) {
+            variant.group.traverse(child => {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                for (const material of materials) {
+                    if (material && material.userData.tintindex !== undefined) {
+                        material.color.copy(tint);
+                    }
+                }
+            });
+        }
+    }
+}
+
+// Add the textures of loaded block types to the atlas, and build the geometry of each of their model
+// variants: the faces by cullface direction, the sides it fills and, for full cubes, the greedy faces.
+// Returns how many textures the types use
+function prepareBlockTypes(state, types) {
+    const extractedTypes = types.map(type => !type.model ? [] : type.model.variants.map(variant => {
+        return extractGeometryAndMaterials(variant.group);
+    }));
+    const textures = [];
+    for (const extracted of extractedTypes.flat()) {
+        if (extracted.materials) {
+            textures.push(...extracted.materials.filter(material => material.map).map(material => material.map));
+        }
+    }
+    state.atlas.add(textures);
+
+    types.forEach((type, i) => {
+        type.variants = extractedTypes[i].map(extracted => {
+            if (!extracted.geometries) {
+                return null;
+            }
+            const geometries = new Map();
+            for (const [cullface, geometry] of extracted.geometries) {
+                geometries.set(cullface, applyAtlas(geometry, extracted.materials, state.atlas));
+            }
+            // Full cubes are left to the greedy mesher when it is on
+            const greedyFaces = state.options.greedyMeshing ? getGreedyFaces(extracted.geometries, extracted.materials, state.atlas) : null;
+            return { geometries, covered: getCoveredSides(geometries), greedyFaces };
+        });
+    });
+    return new Set(textures).size;
+}
+
+// Pick the model variant shown at a position. Weighted variants are seeded by the world position, like
+// the game does, so a build looks the same wherever its grid starts
+function pickVariant(state, x, y, z) {
+    const index = state.blocks.index(x, y, z);
+    const blockType = getPositionType(state, index);
+    const model = blockType < 0 ? null : state.types[blockType].model;
+    if (!model || model.variants.length < 2) {
+        state.variantGrid[index] = 0;
+        return;
+    }
+    const [offsetX, offsetY, offsetZ] = state.options.offset || [0, 0, 0];
+    state.variantGrid[index] = selectVariant(model, x + offsetX, y + offsetY, z + offsetZ);
+}
+
+// Get the geometry of the model variant at a position, or null when there's nothing to draw
+function getVariantModel(state, x, y, z) {
+    const index = state.blocks.index(x, y, z);
+    const blockType = getPositionType(state, index);
+    if (blockType < 0) {
+        return null;
+    }
+    return state.types[blockType].variants[state.variantGrid[index]] || null;
+}
+
+// Check whether the face of the block at x, y, z pointing in direction is hidden by its neighbour
+function isFaceHidden(state, x, y, z, direction) {
+    if (!state.cullingRules) {
+        return false;
+    }
+    const [dx, dy, dz] = DIRECTION_OFFSETS[direction];
+    const nx = x + dx;
+    const ny = y + dy;
+    const nz = z + dz;
+    if (nx < 0 || ny < 0 || nz < 0 || nx >= state.width || ny >= state.height || nz >= state.length) {
+        return false;
+    }
+    const neighbourModel = getVariantModel(state, nx, ny, nz);
+    if (!neighbourModel || !neighbourModel.covered.has(OPPOSITE_DIRECTIONS[direction])) {
+        return false;
+    }
+    return state.cullingRules.shouldCullFace(state.blocks.get(x, y, z), state.blocks.get(nx, ny, nz), direction);
+}
+
+// Build the mesh data of a section. Positions are relative to the section's corner, so the renderer can
+// place each section's group there and the bounds stay local to it
+function buildSection(state, sx, sy, sz) {
+    const x0 = sx * SECTION_SIZE;
+    const y0 = sy * SECTION_SIZE;
+    const z0 = sz * SECTION_SIZE;
+    const x1 = Math.min(x0 + SECTION_SIZE, state.width);
+    const y1 = Math.min(y0 + SECTION_SIZE, state.height);
+    const z1 = Math.min(z0 + SECTION_SIZE, state.length);
+    const meshes = [];
+    const stats = { meshes: 0, instancedMeshes: 0, vertices: 0, faces: 0, culledFaces: 0, greedyFaces: 0, greedyQuads: 0 };
+
+    // The models drawn instanced in the region the section is in are left to buildInstances
+    const region = state.regions.get([x0, y0, z0].map(value => Math.floor(value / INSTANCE_REGION_SIZE)).join(','));
+    const geometries = [];
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            for (let z = z0; z < z1; z++) {
+                const variantModel = getVariantModel(state, x, y, z);
+                if (!variantModel || variantModel.greedyFaces) continue;
+                if (region.instanced.has(getInstanceKey(state, state.blocks.index(x, y, z)))) continue;
+
+                for (const [cullface, geometry] of variantModel.geometries) {
+                    if (cullface !== null && isFaceHidden(state, x, y, z, cullface)) {
+                        stats.culledFaces += getIndexCount(geometry) / 6;
+                    } else {
+                        geometries.push(translateGeometry(geometry, x - x0, y - y0, z - z0));
+                    }
+                }
+            }
+        }
+    }
+
+    if (geometries.length > 0) {
+        // Everything shares the atlas, so it is one mesh with a group per atlas page
+        const geometry = mergeGroupedGeometries(geometries);
+        meshes.push({ type: 'merged', geometry: getGeometryData(geometry) });
+        stats.meshes++;
+        stats.vertices += geometry.attributes.position.count;
+        stats.faces += geometry.index.count / 3;
+    }
+
+    // Greedy mesh the full cubes, when enabled
+    if (state.options.greedyMeshing) {
+        const greedy = buildGreedyGeometry([x1 - x0, y1 - y0, z1 - z0], (x, y, z, direction) => {
+            const variantModel = getVariantModel(state, x0 + x, y0 + y, z0 + z);
+            if (!variantModel || !variantModel.greedyFaces) {
+                return null;
+            }
+            if (isFaceHidden(state, x0 + x, y0 + y, z0 + z, direction)) {
+                stats.culledFaces++;
+                return null;
+            }
+            return variantModel.greedyFaces[direction];
+        });
+        const quads = greedy.geometry.index.count / 6;
+        if (quads > 0) {
+            meshes.push({ type: 'greedy', geometry: getGeometryData(greedy.geometry) });
+            stats.meshes++;
+            stats.vertices += greedy.geometry.attributes.position.count;
+            stats.faces += quads * 2;
+        }
+        stats.greedyFaces += greedy.faces;
+        stats.greedyQuads += quads;
+    }
+
+    const key = `${sx},${sy},${sz}`;
+    state.sections.set(key, stats);
+    return { key, coords: [sx, sy, sz], position: [x0, y0, z0], meshes, stats };
+}
+
+// Get the coordinates of every cell of a grid of cells of the given size over the blocks, like sections
+function getGridCoords(state, size) {
+    const coords = [];
+    for (let cy = 0; cy < Math.ceil(state.height / size); cy++) {
+        for (let cx = 0; cx < Math.ceil(state.width / size); cx++) {
+            for (let cz = 0; cz < Math.ceil(state.length / size); cz++) {
+                coords.push([cx, cy, cz]);
+            }
+        }
+    }
+    return coords;
+}
+
+// Which model variant of which block type is at a position, as a key for instancing
+function getInstanceKey(state, index) {
+    return `${getPositionType(state, index)}#${state.variantGrid[index]}`;
+}
+
+// Work out which model variants a region has enough of (options.instancingThreshold, 16 by default) to
+// draw them instanced. Full cubes never are: their faces are mostly hidden by their neighbours, which
+// instances can't leave out. Returns whether that changed
+function updateInstancedModels(state, rx, ry, rz) {
+    const counts = new Map();
+    forEachInRegion(state, rx, ry, rz, (x, y, z) => {
+        const variantModel = getVariantModel(state, x, y, z);
+        if (!variantModel || variantModel.greedyFaces || variantModel.covered.size === 6) {
+            return;
+        }
+        const key = getInstanceKey(state, state.blocks.index(x, y, z));
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const threshold = state.options.instancingThreshold !== undefined ? state.options.instancingThreshold : 16;
+    const instanced = new Set();
+    for (const [key, count] of counts) {
+        if (count >= threshold) {
+            instanced.add(key);
+        }
+    }
+
+    const regionKey = `${rx},${ry},${rz}`;
+    const old = state.regions.get(regionKey);
+    state.regions.set(regionKey, { instanced, stats: old ? old.stats : null });
+    return !old || old.instanced.size !== instanced.size || Array.from(instanced).some(key => !old.instanced.has(key));
+}
+
+// Call callback(x, y, z) for every position in an instance region
+function forEachInRegion(state, rx, ry, rz, callback) {
+    const x0 = rx * INSTANCE_REGION_SIZE;
+    const y0 = ry * INSTANCE_REGION_SIZE;
+    const z0 = rz * INSTANCE_REGION_SIZE;
+    const x1 = Math.min(x0 + INSTANCE_REGION_SIZE, state.width);
+    const y1 = Math.min(y0 + INSTANCE_REGION_SIZE, state.height);
+    const z1 = Math.min(z0 + INSTANCE_REGION_SIZE, state.length);
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            for (let z = z0; z < z1; z++) {
+                callback(x, y, z);
+            }
+        }
+    }
+}
+
+// Build the instanced meshes of a region: one per model variant it draws instanced, with the whole model
+// at every position, so the instances don't split up by which of their faces the neighbours hide
+function buildInstances(state, rx, ry, rz) {
+    const key = `${rx},${ry},${rz}`;
+    const region = state.regions.get(key);
+    const position = [rx, ry, rz].map(value => value * INSTANCE_REGION_SIZE);
+    const groups = new Map(); // key: instance key, value: { variantModel, positions }
+    forEachInRegion(state, rx, ry, rz, (x, y, z) => {
+        const instanceKey = getInstanceKey(state, state.blocks.index(x, y, z));
+        if (!region.instanced.has(instanceKey)) {
+            return;
+        }
+        if (!groups.has(instanceKey)) {
+            groups.set(instanceKey, { variantModel: getVariantModel(state, x, y, z), positions: [] });
+        }
+        groups.get(instanceKey).positions.push({ x: x - position[0], y: y - position[1], z: z - position[2] });
+    });
+
+    const meshes = [];
+    const stats = { meshes: 0, instancedMeshes: 0, vertices: 0, faces: 0, culledFaces: 0, greedyFaces: 0, greedyQuads: 0 };
+    for (const { variantModel, positions } of groups.values()) {
+        const geometry = mergeGroupedGeometries(Array.from(variantModel.geometries.values()));
+        const matrices = new Float32Array(positions.length * 16);
+        const matrix = new THREE.Matrix4();
+        positions.forEach(({ x, y, z }, instance) => {
+            matrix.makeTranslation(x, y, z).toArray(matrices, instance * 16);
+        });
+        // Frustum culling only looks at the geometry's bounds, so make them cover every instance
+        const box = new THREE.Box3();
+        positions.forEach(({ x, y, z }) => box.expandByPoint(new THREE.Vector3(x, y, z)));
+        box.expandByScalar(1);
+        geometry.boundingBox = box;
+        geometry.boundingSphere = box.getBoundingSphere(new THREE.Sphere());
+        meshes.push({ type: 'instanced', geometry: getGeometryData(geometry), matrices: matrices, count: positions.length });
+        stats.meshes++;
+        stats.instancedMeshes++;
+        stats.vertices += geometry.attributes.position.count * positions.length;
+        stats.faces += geometry.index.count / 3 * positions.length;
+    }
+    region.stats = stats;
+    return { key: `instances:${key}`, coords: [rx, ry, rz], position, meshes, stats, instances: true };
+}
+
+// Add up the stats of every section and instance region
+function getTotalStats(state) {
+    const totals = { sections: 0, meshes: 0, instancedMeshes: 0, vertices: 0, faces: 0, culledFaces: 0 };
+    let greedyFaces = 0;
+    let greedyQuads = 0;
+    for (const stats of state.sections.values()) {
+        if (stats.meshes > 0) {
+            totals.sections++;
+        }
+        for (const key of ['meshes', 'instancedMeshes', 'vertices', 'faces', 'culledFaces']) {
+            totals[key] += stats[key];
+        }
+        greedyFaces += stats.greedyFaces;
+        greedyQuads += stats.greedyQuads;
+    }
+    for (const { stats } of state.regions.values()) {
+        for (const key of ['meshes', 'instancedMeshes', 'vertices', 'faces']) {
+            totals[key] += stats ? stats[key] : 0;
+        }
+    }
+    totals.greedy = state.options.greedyMeshing ? {
+        blockFaces: greedyFaces,
+        quads: greedyQuads,
+        trianglesSaved: (greedyFaces - greedyQuads) * 2
+    } : null;
+    return totals;
+}
+
+// Take the buffers and bounds out of a geometry, working out the bounds here when they aren't set
+function getGeometryData(geometry) {
+    if (!geometry.boundingBox) {
+        geometry.computeBoundingBox();
+    }
+    if (!geometry.boundingSphere) {
+        geometry.computeBoundingSphere();
+    }
+    const attributes = {};
+    for (const [name, attribute] of Object.entries(geometry.attributes)) {
+        attributes[name] = { array: attribute.array, itemSize: attribute.itemSize };
+    }
+    const { min, max } = geometry.boundingBox;
+    const { center, radius } = geometry.boundingSphere;
+    return {
+        attributes: attributes,
+        index: geometry.index.array,
+        groups: geometry.groups.map(group => ({ start: group.start, count: group.count, materialIndex: group.materialIndex })),
+        boundingBox: [min.x, min.y, min.z, max.x, max.y, max.z],
+        boundingSphere: [center.x, center.y, center.z, radius]
+    };
+}
+
+// Extract geometry and materials from a model group. Every face keeps its own material through the
+// geometry's groups, and faces sharing a material end up in the same group. The faces are split up by
+// their cullface direction (null for faces that are always drawn), so hidden faces can be left out
+function extractGeometryAndMaterials(model) {
+    const partsByCullface = new Map();
+    const materials = [];
+
+    model.traverse((child) => {
+        if (child instanceof THREE.Mesh && child.geometry) {
+            const childMaterials = Array.isArray(child.material) ? child.material : [child.material];
+            const cullfaces = child.userData.cullfaces || [];
+            // Translate to account for mesh position
+            const geo = translateGeometry(child.geometry, child.position.x, child.position.y, child.position.z);
+            const groups = geo.groups.length > 0 ? geo.groups : [{ start: 0, count: getIndexCount(geo), materialIndex: 0 }];
+            const groupsByCullface = new Map();
+            for (const group of groups) {
+                const material = childMaterials[group.materialIndex];
+                if (!material) {
+                    continue;
+                }
+                if (!materials.includes(material)) {
+                    materials.push(material);
+                }
+                const cullface = cullfaces[group.materialIndex] || null;
+                if (!groupsByCullface.has(cullface)) {
+                    groupsByCullface.set(cullface, []);
+                }
+                // Point the group at the combined material list
+                groupsByCullface.get(cullface).push({ start: group.start, count: group.count, materialIndex: materials.indexOf(material) });
+            }
+            for (const [cullface, cullfaceGroups] of groupsByCullface) {
+                const part = geo.clone();
+                part.clearGroups();
+                cullfaceGroups.forEach(group => part.addGroup(group.start, group.count, group.materialIndex));
+                if (!partsByCullface.has(cullface)) {
+                    partsByCullface.set(cullface, []);
+                }
+                partsByCullface.get(cullface).push(part);
+            }
+        }
+    });
+
+    if (partsByCullface.size === 0 || materials.length === 0) {
+        return { geometries: null, materials: null };
+    }
+
+    const geometries = new Map();
+    for (const [cullface, parts] of partsByCullface) {
+        geometries.set(cullface, mergeGroupedGeometries(parts));
+    }
+    return { geometries: geometries, materials: materials };
+}
+
+function getIndexCount(geometry) {
+    return geometry.index ? geometry.index.count : geometry.attributes.position.count;
+}
+
+// Merge geometries into one, keeping only the faces covered by their groups (and the vertices they use),
+// with one group per material
+function mergeGroupedGeometries(geometries) {
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const colors = [];
+    const hasColors = geometries.some(geo => geo.attributes.color);
+    const indicesByMaterial = [];
+    let vertexCount = 0;
+
+    for (const geo of geometries) {
+        const pos = geo.attributes.position;
+        const norm = geo.attributes.normal;
+        const uv = geo.attributes.uv;
+        const color = geo.attributes.color;
+        // Where each of this geometry's vertices ended up in the merged one, once used
+        const remap = new Int32Array(pos.count).fill(-1);
+
+        const groups = geo.groups.length > 0 ? geo.groups : [{ start: 0, count: getIndexCount(geo), materialIndex: 0 }];
+        for (const group of groups) {
+            if (!indicesByMaterial[group.materialIndex]) {
+                indicesByMaterial[group.materialIndex] = [];
+            }
+            const target = indicesByMaterial[group.materialIndex];
+            for (let i = group.start; i < group.start + group.count; i++) {
+                const vertex = geo.index ? geo.index.getX(i) : i;
+                if (remap[vertex] < 0) {
+                    remap[vertex] = vertexCount++;
+                    positions.push(pos.getX(vertex), pos.getY(vertex), pos.getZ(vertex));
+                    if (norm) {
+                        normals.push(norm.getX(vertex), norm.getY(vertex), norm.getZ(vertex));
+                    } else {
+                        normals.push(0, 0, 0);
+                    }
+                    if (uv) {
+                        uvs.push(uv.getX(vertex), uv.getY(vertex));
+                    } else {
+                        uvs.push(0, 0);
+                    }
+                    if (hasColors) {
+                        colors.push(color ? color.getX(vertex) : 1, color ? color.getY(vertex) : 1, color ? color.getZ(vertex) : 1);
+                    }
+                }
+                target.push(remap[vertex]);
+            }
+        }
+    }
+
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    merged.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    merged.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    if (hasColors) {
+        merged.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    }
+
+    const indices = [];
+    indicesByMaterial.forEach((materialIndices, materialIndex) => {
+        if (materialIndices && materialIndices.length > 0) {
+            merged.addGroup(indices.length, materialIndices.length, materialIndex);
+            for (const index of materialIndices) {
+                indices.push(index);
+            }
+        }
+    });
+    merged.setIndex(indices);
+    return merged;
+}
+
+// Translate a BufferGeometry
+function translateGeometry(geometry, x, y, z) {
+    const pos = geometry.attributes.position;
+    if (!pos) return geometry;
+
+    const positions = [];
+    for (let i = 0; i < pos.count; i++) {
+        positions.push(
+            pos.getX(i) + x,
+            pos.getY(i) + y,
+            pos.getZ(i) + z
+        );
+    }
+
+    const newGeo = geometry.clone();
+    newGeo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return newGeo;
+}
@@ -1,18 +1,187 @@
 import * as THREE from './lib/three.js';
-import './lib/lodash.js';
+import BlockState from './blockstate.js';
+import getResourceSource from './resources.js';
 
-let resourcesUrl = "";
+// Caches are keyed by the id of the source the assets are read from (see resources.js) and the path
 let cache = {};
 let errored = {}
+let blockstateCache = {};
+let textureCache = {};
+
+// Load the models for a block from its blockstate file. Returns the weighted list of variants that can be
+// shown for the block's properties, each a group already rotated as the variant asks; use selectVariant
+// to pick one for a position. block can be anything BlockState.from takes, and resources are as
+// readResources in resources.js returns them. Blocks of other namespaces than minecraft (mods) are read from their
+// own assets folder, e.g. assets/create/blockstates for create:cogwheel
 export default async function loadModel(block, resources) {
-	resourcesUrl = resources;
+	// Passed along rather than kept in the module, loads for different resources can run at the same time
+	const source = getResourceSource(resources);
+	const state = BlockState.from(block);
+	const properties = state.properties;
+	const blockState = await loadBlockStateJson(source, state);
+	if (blockState && blockState.multipart) {
+		// Multipart blocks are built from every part whose condition matches, combined into one group
+		const group = await buildMultipart(source, blockState.multipart, properties);
+		return group === null ? null : { variants: [{ group: group, weight: 1 }], totalWeight: 1 };
+	}
+
+	// Find the models the blockstate file lists for these properties
+	let choices = resolveVariants(blockState, properties);
+	if (choices === null) {
+		// No blockstate file, try a model with the same name as the block
+		choices = [{ model: `${state.namespace}:block/${state.path}` }];
+	}
+	const variants = [];
+	for (const choice of choices) {
+		const group = await buildModel(source, choice.model, choice.x || 0, choice.y || 0, choice.uvlock === true);
+		if (group !== null) {
+			variants.push({ group: group, weight: choice.weight !== undefined ? choice.weight : 1 });
+		}
+	}
+	if (variants.length === 0) {
+		return null;
+	}
+	return {
+		variants: variants,
+		totalWeight: variants.reduce((sum, variant) => sum + variant.weight, 0)
+	};
+}
+
+// Pick the variant shown at a position, the same way the game does for blocks with weighted models
+export function selectVariant(blockModel, x, y, z) {
+	if (blockModel.variants.length === 1) {
+		return 0;
+	}
+	let value = nextInt(getPositionSeed(x, y, z), blockModel.totalWeight);
+	for (let i = 0; i < blockModel.variants.length; i++) {
+		value -= blockModel.variants[i].weight;
+		if (value < 0) {
+			return i;
+		}
+	}
+	return 0;
+}
+
+// Mth.getSeed: the per-position seed the game uses for picking models
+function getPositionSeed(x, y, z) {
+	let seed = BigInt.asIntN(64, BigInt(Math.imul(x, 3129871)) ^ (BigInt(z) * 116129781n) ^ BigInt(y));
+	seed = BigInt.asIntN(64, seed * seed * 42317861n + seed * 11n);
+	return seed >> 16n;
+}
+
+// java.util.Random seeded with seed, then nextInt(bound)
+function nextInt(seed, bound) {
+	const mask = (1n << 48n) - 1n;
+	let state = (seed ^ 0x5DEECE66Dn) & mask;
+	const next = (bits) => {
+		state = (state * 0x5DEECE66Dn + 0xBn) & mask;
+		return Number(BigInt.asIntN(32, state >> BigInt(48 - bits)));
+	};
+	if ((bound & (bound - 1)) === 0) {
+		return Number((BigInt(bound) * BigInt(next(31))) >> 31n);
+	}
+	let bits;
+	let value;
+	do {
+		bits = next(31);
+		value = bits % bound;
+	} while (((bits - value + (bound - 1)) | 0) < 0);
+	return value;
+}
+
+// Get the path of an asset in a resource pack from its resource location, like "minecraft:block/stone" in
+// "models" -> "assets/minecraft/models/block/stone.json". Locations without a namespace are in the
+// minecraft one, even when a model of another namespace refers to them, like in the game
+function getAssetPath(location, folder, extension) {
+	const separator = location.indexOf(":");
+	const namespace = separator < 0 ? "minecraft" : location.substring(0, separator);
+	return `assets/${namespace}/${folder}/${location.substring(separator + 1)}.${extension}`;
+}
+
+async function loadBlockStateJson(source, state) {
+	const path = getAssetPath(state.name, "blockstates", "json");
+	const url = `${source.id}/${path}`;
+	if (blockstateCache[url] === undefined) {
+		blockstateCache[url] = source.readJson(path);
+	}
+	return blockstateCache[url];
+}
+
+// Check whether a variant key like "facing=east,half=bottom" matches the block's property map
+function matchesVariant(key, properties) {
+	if (key === "" || key === "normal") {
+		return true;
+	}
+	return key.split(",").every(condition => {
+		const [property, value] = condition.split("=");
+		return properties.get(property) === value;
+	});
+}
+
+// Find the list of { model, x, y, uvlock, weight } choices for a block, or null without a variants blockstate
+function resolveVariants(blockState, properties) {
+	if (!blockState || !blockState.variants) {
+		return null;
+	}
+	const keys = Object.keys(blockState.variants);
+	// Fall back to the first variant when the block is missing properties (e.g. from older formats)
+	const key = keys.find(key => matchesVariant(key, properties)) || keys[0];
+	if (key === undefined) {
+		return null;
+	}
+	const variant = blockState.variants[key];
+	return Array.isArray(variant) ? variant : [variant];
+}
+
+// Check a multipart "when" condition. Conditions are either OR/AND lists of conditions, or a map of
+// properties to values, where "a|b" matches either value and every property has to match
+function matchesCondition(when, properties) {
+	if (when === undefined) {
+		return true;
+	}
+	if (when.OR !== undefined) {
+		return when.OR.some(condition => matchesCondition(condition, properties));
+	}
+	if (when.AND !== undefined) {
+		return when.AND.every(condition => matchesCondition(condition, properties));
+	}
+	return Object.entries(when).every(([property, values]) => {
+		return String(values).split("|").includes(properties.get(property));
+	});
+}
+
+// Build the group for a multipart block from the models of every part that applies
+async function buildMultipart(source, parts, properties) {
+	const group = new THREE.Group();
+	for (const part of parts) {
+		if (!matchesCondition(part.when, properties)) {
+			continue;
+		}
+		// Parts can list weighted models too, we always show the first
+		const choice = Array.isArray(part.apply) ? part.apply[0] : part.apply;
+		if (choice === undefined) {
+			continue;
+		}
+		const partGroup = await buildModel(source, choice.model, choice.x || 0, choice.y || 0, choice.uvlock === true);
+		if (partGroup !== null) {
+			group.add(...partGroup.children);
+		}
+	}
+	return group.children.length > 0 ? group : null;
+}
+
+// Load a model and build it into a group, rotated by x and y degrees around the block center
+async function buildModel(source, modelName, rotationX, rotationY, uvlock) {
 	// Load the model json
-	const model = await loadModelJson(block);
+	const model = await loadModelJson(source, modelName);
 	if (model === undefined || model === null || model.elements === undefined) {
 		return null;
 	}
 	// Load the textures
-	const textures = await loadTextureMap(model.textures);
+	const textures = await loadTextureMap(source, model.textures || {});
+	// Minecraft rotates clockwise looking down each axis, so negate the angles; x is applied before y
+	const rotation = new THREE.Matrix4().makeRotationY(-rotationY * Math.PI / 180)
+		.multiply(new THREE.Matrix4().makeRotationX(-rotationX * Math.PI / 180));
 	// Create a new group
 	const group = new THREE.Group();
 	// Iterate through each element in the model
@@ -26,124 +195,261 @@ export default async function loadModel(block, resources) {
 		let to2 = value.to[2] / 16;
 		// Create a new box geometry
 		const geometry = new THREE.BoxGeometry(to0 - from0, to1 - from1, to2 - from2);
-		// Position geometry
-		geometry.translate((to0 + from0) / 2, (to1 + from1) / 2, (to2 + from2) / 2);
+		// Position geometry, centered on the block so it can be rotated in place
+		geometry.translate((to0 + from0) / 2 - 0.5, (to1 + from1) / 2 - 0.5, (to2 + from2) / 2 - 0.5);
+		if (value.rotation !== undefined) {
+			applyElementRotation(geometry, value.rotation);
+		}
+		// Map each face onto its area of the texture, rotated if it asks for it. With uvlock, the area and
+		// rotation are changed so the texture stays aligned with the world when the model is rotated
+		for (const [face, data] of Object.entries(value.faces)) {
+			let faceUV = { area: data.uv || getDefaultUV(face, value.from, value.to), rotation: data.rotation || 0 };
+			if (uvlock) {
+				faceUV = lockFaceUV(faceUV, face, rotation);
+			}
+			if (faceUV.rotation) {
+				rotateFaceUVs(geometry, face, faceUV.rotation / 90);
+			}
+			mapFaceUVs(geometry, face, faceUV.area);
+		}
+		geometry.applyMatrix4(rotation);
+		// Only draw the faces the element defines
+		geometry.groups = geometry.groups.filter(faceGroup => value.faces[BOX_FACES[faceGroup.materialIndex]] !== undefined);
 		// Create mesh with resolved textures
 		const resolvedTextures = resolveTextures(value, textures);
 		if (resolvedTextures == null) {
 			continue;
 		}
 		const mesh = new THREE.Mesh(geometry, resolvedTextures);
-		// Center the mesh in the group
-		mesh.position.x -= 0.5;
-		mesh.position.y -= 0.5;
-		mesh.position.z -= 0.5;
+		// Keep the direction each face is hidden by, per face group, turned with the blockstate rotation
+		mesh.userData.cullfaces = BOX_FACES.map(face => {
+			const data = value.faces[face];
+			return data !== undefined && data.cullface !== undefined ? rotateDirection(data.cullface, rotation) : null;
+		});
 		// Add the mesh to the group
 		group.add(mesh);
 	}
 	return group;
 }
 
-async function loadModelJson(block) {
-	// If the model name contains minecraft:, remove it
-	let modelName = block.name;
-	if (modelName.startsWith("minecraft:")) {
-		modelName = modelName.substring(modelName.indexOf(":") + 1);
-	}
-
-	// Check properties
-	if (block.properties) {
-		// Get the shape property (shape=)
-		let shape = block.properties.find(property => property.startsWith("shape="));
-		if (shape) {
-			// If the shape starts with inner or outer, append it to the model name
-			let type = shape.substring(shape.indexOf("=") + 1);
-			if (type.startsWith("inner")) {
-				modelName += "_inner";
-			} else if (type.startsWith("outer")) {
-				modelName += "_outer";
-			}
-		}
+// BoxGeometry face groups, in order: east, west, up, down, south, north
+const BOX_FACES = ["east", "west", "up", "down", "south", "north"];
+
+const DIRECTIONS = {
+	east: new THREE.Vector3(1, 0, 0),
+	west: new THREE.Vector3(-1, 0, 0),
+	up: new THREE.Vector3(0, 1, 0),
+	down: new THREE.Vector3(0, -1, 0),
+	south: new THREE.Vector3(0, 0, 1),
+	north: new THREE.Vector3(0, 0, -1)
+};
+
+// Find where a direction ends up after a (quarter turn) rotation
+function rotateDirection(direction, rotation) {
+	if (DIRECTIONS[direction] === undefined) {
+		return null;
 	}
-	
-	if (errored[modelName]) return undefined;
-	if (cache[modelName]) return cache[modelName];
+	const rotated = DIRECTIONS[direction].clone().applyMatrix4(rotation).round();
+	return BOX_FACES.find(face => DIRECTIONS[face].equals(rotated));
+}
 
-	// Load the URL as a json object
-	const model = await fetch(`${resourcesUrl}/assets/minecraft/models/${modelName}.json`).then(response => {
-		if (response.status === 200) {
-			return response.json();
-		} else {
-			errored[modelName] = true;
-			return undefined;
+// Rotate an element around its origin, as given by the model's element rotation. With rescale, the faces
+// are stretched across the block again, the way cross models fill the whole block
+function applyElementRotation(geometry, elementRotation) {
+	const origin = new THREE.Vector3(...(elementRotation.origin || [8, 8, 8])).divideScalar(16).subScalar(0.5);
+	const angle = elementRotation.angle * Math.PI / 180;
+	const axis = DIRECTIONS[{ x: "east", y: "up", z: "south" }[elementRotation.axis]];
+	if (axis === undefined || angle === 0) {
+		return;
+	}
+	const transform = new THREE.Matrix4().makeTranslation(origin.x, origin.y, origin.z);
+	if (elementRotation.rescale) {
+		const scale = 1 / Math.cos(Math.abs(angle));
+		transform.multiply(new THREE.Matrix4().makeScale(
+			axis.x !== 0 ? 1 : scale,
+			axis.y !== 0 ? 1 : scale,
+			axis.z !== 0 ? 1 : scale
+		));
+	}
+	transform.multiply(new THREE.Matrix4().makeRotationAxis(axis, angle));
+	transform.multiply(new THREE.Matrix4().makeTranslation(-origin.x, -origin.y, -origin.z));
+	geometry.applyMatrix4(transform);
+}
+
+// Rotate the UVs of a face's four vertices by a number of quarter turns around the face center
+function rotateFaceUVs(geometry, face, quarterTurns) {
+	const turns = ((quarterTurns % 4) + 4) % 4;
+	if (turns === 0) {
+		return;
+	}
+	const uv = geometry.attributes.uv;
+	const start = BOX_FACES.indexOf(face) * 4;
+	for (let i = start; i < start + 4; i++) {
+		let u = uv.getX(i) - 0.5;
+		let v = uv.getY(i) - 0.5;
+		for (let turn = 0; turn < turns; turn++) {
+			[u, v] = [v, -u];
 		}
-	}).catch(() => {
+		uv.setXY(i, u + 0.5, v + 0.5);
+	}
+	uv.needsUpdate = true;
+}
+
+// The texture area a face uses when it gives no uv, the part of the texture matching its position in the block
+function getDefaultUV(face, from, to) {
+	switch (face) {
+		case "down": return [from[0], 16 - to[2], to[0], 16 - from[2]];
+		case "up": return [from[0], from[2], to[0], to[2]];
+		case "north": return [16 - to[0], 16 - to[1], 16 - from[0], 16 - from[1]];
+		case "south": return [from[0], 16 - to[1], to[0], 16 - from[1]];
+		case "west": return [from[2], 16 - to[1], to[2], 16 - from[1]];
+		case "east": return [16 - to[2], 16 - to[1], 16 - from[2], 16 - from[1]];
+	}
+	return [0, 0, 16, 16];
+}
+
+// Scale a face's UVs from the whole texture down to the uv area [u1, v1, u2, v2], given in pixels of a
+// 16x16 texture from the top left. Flipped areas (u1 > u2) mirror the texture like in game
+function mapFaceUVs(geometry, face, area) {
+	const uv = geometry.attributes.uv;
+	const start = BOX_FACES.indexOf(face) * 4;
+	if (start < 0) {
+		return;
+	}
+	for (let i = start; i < start + 4; i++) {
+		const u = area[0] + uv.getX(i) * (area[2] - area[0]);
+		const v = area[1] + (1 - uv.getY(i)) * (area[3] - area[1]);
+		uv.setXY(i, u / 16, 1 - v / 16);
+	}
+	uv.needsUpdate = true;
+}
+
+// How each face's texture plane lies in the block: the south face's as it is, the others turned onto it
+const FACE_TO_BLOCK = {
+	south: new THREE.Matrix4(),
+	east: new THREE.Matrix4().makeRotationY(Math.PI / 2),
+	west: new THREE.Matrix4().makeRotationY(-Math.PI / 2),
+	north: new THREE.Matrix4().makeRotationY(Math.PI),
+	up: new THREE.Matrix4().makeRotationX(-Math.PI / 2),
+	down: new THREE.Matrix4().makeRotationX(Math.PI / 2)
+};
+
+// Change a face's { area, rotation } for uvlock, the way the game's FaceBakery does: the area's corners
+// are carried from where the face ends up back through the model rotation into the face's own texture
+// plane, and the rotation is turned along with them. Covers every face the x and y rotations move
+function lockFaceUV(faceUV, face, rotation) {
+	const rotatedFace = rotateDirection(face, rotation);
+	const transform = new THREE.Matrix4().makeTranslation(0.5, 0.5, 0.5)
+		.multiply(FACE_TO_BLOCK[face].clone().invert())
+		.multiply(rotation.clone().invert())
+		.multiply(FACE_TO_BLOCK[rotatedFace])
+		.multiply(new THREE.Matrix4().makeTranslation(-0.5, -0.5, -0.5));
+	// Rounded, so the comparisons below aren't thrown off by floating point error
+	const carry = (u, v) => {
+		const point = new THREE.Vector3(u / 16, v / 16, 0).applyMatrix4(transform);
+		return [Math.round(point.x * 16 * 1e4) / 1e4, Math.round(point.y * 16 * 1e4) / 1e4];
+	};
+	const [u1, v1, u2, v2] = faceUV.area;
+	const [a, b] = carry(u1, v1);
+	const [c, d] = carry(u2, v2);
+	// Keep the area flipped the same way it was
+	const area = [
+		Math.sign(u2 - u1) === Math.sign(c - a) ? a : c,
+		Math.sign(v2 - v1) === Math.sign(d - b) ? b : d,
+		Math.sign(u2 - u1) === Math.sign(c - a) ? c : a,
+		Math.sign(v2 - v1) === Math.sign(d - b) ? d : b
+	];
+	const direction = new THREE.Vector3(1, 0, 0).applyMatrix3(new THREE.Matrix3().setFromMatrix4(transform));
+	const turn = Math.round(Math.atan2(direction.y, direction.x) / (Math.PI / 2)) * 90;
+	return { area, rotation: (((faceUV.rotation + turn) % 360) + 360) % 360 };
+}
+
+async function loadModelJson(source, modelName) {
+	const path = getAssetPath(modelName, "models", "json");
+	const url = `${source.id}/${path}`;
+	if (errored[url]) return undefined;
+	if (cache[url]) return cache[url];
+
+	// Load the file as a json object
+	const model = await source.readJson(path);
+	if (model === null) {
+		errored[url] = true;
 		return undefined;
-	});
+	}
 	if (model && model["parent"] !== undefined) {
-		// If the model has a parent, load the parent model
-		const parentModel = await loadModelJson({
-			name: model["parent"]
-		});
-		// Merge the parent model with the current model, adding
+		// If the model has a parent, load the parent model, which can be in another namespace
+		const parentModel = await loadModelJson(source, model["parent"]);
+		// Inherit from the parent: the child's textures win, and its elements replace the parent's
 		if (parentModel) {
-			_.merge(model, parentModel);
+			model.textures = Object.assign({}, parentModel.textures, model.textures);
+			if (model.elements === undefined && parentModel.elements !== undefined) {
+				model.elements = parentModel.elements;
+			}
+			model.ambientocclusion = model.ambientocclusion !== undefined ? model.ambientocclusion : parentModel.ambientocclusion;
 		}
 	}
-	cache[modelName] = model;
+	cache[url] = model;
 	return model;
 }
 
-async function loadTexture(textureName) {
-	// If the texture name contains minecraft:, remove it
-	if (textureName.startsWith("minecraft:")) {
-		textureName = textureName.substring(textureName.indexOf(":") + 1);
-	}
-	// Load the URL as a texture
-	const textureLoader = new THREE.TextureLoader();
-	return new Promise((resolve, reject) => {
-		textureLoader.load(
-			`${resourcesUrl}/assets/minecraft/textures/${textureName}.png`,
-			(texture) => {
-				texture.minFilter = THREE.NearestFilter;
-				texture.magFilter = THREE.NearestFilter;
-				resolve(texture);
-			},
-			undefined,
-			(error) => {
-				console.warn(`Failed to load texture: ${textureName}`, error);
-				reject(error);
-			}
-		);
+async function loadTexture(source, textureName) {
+	// Textures are shared between models, so load each one once
+	const path = getAssetPath(textureName, "textures", "png");
+	const url = `${source.id}/${path}`;
+	if (textureCache[url] !== undefined) {
+		return textureCache[url];
+	}
+	textureCache[url] = source.loadTexture(path).then(texture => {
+		texture.minFilter = THREE.NearestFilter;
+		texture.magFilter = THREE.NearestFilter;
+		return texture;
+	}, error => {
+		console.warn(`Failed to load texture: ${textureName}`, error);
+		throw error;
 	});
+	return textureCache[url];
 }
 
 // Load textures into a map
-async function loadTextureMap(textures) {
+async function loadTextureMap(source, textures) {
 	// Create a new map
 	const textureMap = {};
 	for (const [key, value] of Object.entries(textures)) {
 		if (value.startsWith("#")) {
-			// If the value starts with a #, it's a reference to another texture
-			textureMap[key] = textureMap[value.substring(1)];
+			// If the value starts with a #, it's a reference to another texture, which may come later
+			continue;
 		} else {
 			// Otherwise, load the texture
 			try {
-				textureMap[key] = await loadTexture(value);
+				textureMap[key] = await loadTexture(source, value);
 			} catch (error) {
-				// If texture fails to load, create a placeholder texture
-				const placeholderTexture = new THREE.TextureLoader().load("data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=");
+				// If texture fails to load, use an empty texture, which the atlas draws as the missing texture
+				const placeholderTexture = new THREE.Texture();
 				placeholderTexture.minFilter = THREE.NearestFilter;
 				placeholderTexture.magFilter = THREE.NearestFilter;
 				textureMap[key] = placeholderTexture;
 			}
 		}
 	}
+	// Resolve references, following chains like "end" -> "#all" -> "block/stone"
+	const findLoaded = (key, depth) => {
+		const value = textures[key];
+		if (value === undefined || depth > 16) {
+			return undefined;
+		}
+		return value.startsWith("#") ? findLoaded(value.substring(1), depth + 1) : textureMap[key];
+	};
+	for (const [key, value] of Object.entries(textures)) {
+		if (value.startsWith("#")) {
+			textureMap[key] = findLoaded(key, 0);
+		}
+	}
 	return textureMap;
 }
 
 function resolveTextures(element, textureMap) {
-	// Return array of the six faces from textures of the element
+	// Return array of the six faces from textures of the element. The UVs are part of the geometry, so
+	// the textures are shared as they are
 	let textures = {};
 	for (const [face, data] of Object.entries(element.faces)) {
 		let texture = data.texture;
@@ -153,38 +459,14 @@ function resolveTextures(element, textureMap) {
 		if (textureMap[texture] !== undefined) {
 			let textureImage = textureMap[texture];
 
-			// If data has a uv, crop the texture to match the four values
-			if (data.uv !== undefined) {
-				let uv = data.uv;
-				let start = new THREE.Vector2(uv[0] / 16, uv[1] / 16);
-				let end = new THREE.Vector2(uv[2] / 16, uv[3] / 16);
-
-				// Apply uv to texture
-				textureImage.offset.set(start.x, start.y);
-				textureImage.repeat.set(end.x - start.x, end.y - start.y);
-			}
-
-			// If data has a tintindex, use the tinted texture
+			textures[face] = new THREE.MeshBasicMaterial({ map: textureImage, transparent: true });
+			// Faces with a tintindex are coloured for the block and its biome by the mesher, see tint.js
 			if (data.tintindex !== undefined) {
-				textures[face] = new THREE.MeshBasicMaterial({
-					map: textureImage, transparent: true,
-					color: new THREE.Color(`hsl(113, 100%, 40%)`)
-				});
-			} else {
-				textures[face] = new THREE.MeshBasicMaterial({ map: textureImage, transparent: true });
+				textures[face].userData.tintindex = data.tintindex;
 			}
 		}
 	}
 
-	// Order faces
-	let faceOrder = ["north", "south", "up", "down", "east", "west"];
-	let textureArray = [];
-	for (const face of faceOrder) {
-		if (textures[face] !== undefined) {
-			textureArray.push(textures[face]);
-		} else {
-			textureArray.push(new THREE.TextureLoader().load("data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII="));
-		}
-	}
-	return textureArray;
-}
\ No newline at end of file
+	// Order faces, leaving out faces without a texture
+	return BOX_FACES.map(face => textures[face] !== undefined ? textures[face] : null);
+}
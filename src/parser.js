@@ -0,0 +1,705 @@
+import './lib/nbt.js';
+import * as pako from './lib/pako.js';
+import convertBedrockBlock from './bedrock.js';
+import BlockState from './blockstate.js';
+import convertLegacyBlock, { isTwoBlocksTall, mergeHalves, getLegacyId } from './legacy.js';
+import upgradeBlock, { SPONGE_V1_DATA_VERSION } from './upgrade.js';
+import { longToNumber, unpackLongArray } from './bitarray.js';
+import BlockVolume, { AIR } from './blockvolume.js';
+
+// Reads schematic files (Sponge .schem, legacy .schematic, Litematica, structure block .nbt and Bedrock
+// .mcstructure) into a block grid. Only needs the file's bytes, so it runs the same in a worker
+
+// Parse the bytes of a schematic file. name is the file name where there is one, used to tell formats
+// apart by extension
+export default async function parseSchematicData(buffer, name = '', options = {}) {
+    const nbtData = await getNbtData(buffer, name, options);
+    return readSchematic(nbtData, options);
+}
+
+// Read a schematic from its NBT structure, upgrading blocks saved by older versions of the game to
+// current names and properties (see upgrade.js). The result's blocks.palette holds the upgraded states,
+// and dataVersion is still the version that saved the file
+function readSchematic(nbtData, options = {}) {
+    const schematic = readFormat(nbtData, options);
+    let dataVersion = schematic.dataVersion;
+    if (dataVersion === undefined && schematic.format === 'sponge' && schematic.version === 1) {
+        dataVersion = SPONGE_V1_DATA_VERSION;
+    }
+    if (dataVersion !== undefined) {
+        schematic.blocks.mapPalette(block => upgradeBlock(block, dataVersion));
+    }
+    return schematic;
+}
+
+// Detect the schematic format from the NBT structure and read it
+function readFormat(nbtData, options = {}) {
+    // Check if the structure is what we expect
+    if (!nbtData || !nbtData.value) {
+        throw new Error('Invalid NBT structure: missing value property');
+    }
+
+    // Sponge v3 nests everything under a "Schematic" compound
+    const schematicObj = nbtData.value.Schematic;
+    const root = schematicObj && schematicObj.type === 'compound' ? schematicObj.value : nbtData.value;
+
+    // Detect format: .schem has Palette and BlockData (or a Blocks compound in v3), .schematic has Blocks and Data
+    const hasPalette = root.Palette !== undefined || (root.Blocks !== undefined && root.Blocks.type === 'compound');
+    const hasBlocks = root.Blocks !== undefined;
+
+    if (root.structure !== undefined && root.format_version !== undefined) {
+        // Bedrock .mcstructure format
+        return getBlocksFromMcstructure(root);
+    } else if (root.Regions !== undefined && root.Regions.type === 'compound') {
+        // Litematica .litematic format
+        return getBlocksFromLitematic(root, options);
+    } else if (root.size !== undefined && root.blocks !== undefined) {
+        // Vanilla structure block .nbt format
+        return getBlocksFromStructure(root, options);
+    } else if (hasPalette) {
+        // Sponge v1/v2/v3 .schem format
+        return getBlocksFromSchem(root);
+    } else if (hasBlocks) {
+        // Legacy .schematic format (MCEdit/WorldEdit)
+        return getBlocksFromSchematic(root);
+    }
+    console.error('Available keys in nbtData.value:', Object.keys(root));
+    throw new Error('Unknown schematic format: missing both Palette/BlockData and Blocks fields');
+}
+
+// Read the Width/Height/Length fields shared by the Sponge and legacy formats
+function getDimensions(root) {
+    const dimensions = {};
+    for (const field of ['Width', 'Height', 'Length']) {
+        const obj = root[field];
+        if (!obj || obj.value === undefined) {
+            throw new Error(`Invalid NBT structure: ${field} field missing or invalid`);
+        }
+        // Dimensions are stored as signed shorts, but are really unsigned
+        dimensions[field.toLowerCase()] = obj.value & 0xFFFF;
+    }
+    return dimensions;
+}
+
+function decompress(buffer) {
+    const data = new Uint8Array(buffer);
+    // Try to decompress - pako.inflate can handle both deflate and gzip
+    // If it fails, the data might already be uncompressed
+    try {
+        const decompressed = pako.inflate(data);
+        // pako.inflate returns Uint8Array, convert to ArrayBuffer for nbt.parse
+        return decompressed.buffer;
+    } catch (decompressError) {
+        // If decompression fails, try using the data as-is
+        // (it might already be uncompressed)
+        console.warn('Decompression failed, trying raw data:', decompressError);
+        return data.buffer;
+    }
+}
+
+async function getNbtData(buffer, name, options = {}) {
+    const data = decompress(buffer);
+    // decompress returns an ArrayBuffer, which nbt.parse can handle directly
+
+    // Bedrock files are little-endian. Use options.littleEndian or the file extension when we have them,
+    // otherwise retry as little-endian if the data doesn't parse as big-endian
+    const littleEndian = options.littleEndian !== undefined
+        ? options.littleEndian
+        : name.toLowerCase().endsWith('.mcstructure');
+    try {
+        return await parseNbt(data, littleEndian);
+    } catch (error) {
+        if (littleEndian || options.littleEndian !== undefined) {
+            throw error;
+        }
+        try {
+            return await parseNbt(data, true);
+        } catch (littleEndianError) {
+            throw error;
+        }
+    }
+}
+
+function parseNbt(data, littleEndian) {
+    return new Promise((resolve, reject) => {
+        nbt.parse(data, function (error, data) {
+            if (error) {
+                console.error('NBT parse error:', error);
+                reject(error);
+                return;
+            }
+            resolve(data);
+        }, littleEndian);
+    });
+}
+
+// Invert a Sponge palette compound (key -> id) into an array indexed by id
+function parsePalette(palette) {
+    const blocksById = [];
+    for (const [key, value] of Object.entries(palette)) {
+        blocksById[value.value] = BlockState.parse(key);
+    }
+    return blocksById;
+}
+
+// Decode a varint-encoded byte array (as used by Sponge BlockData) into values, filling it
+function decodeVarints(bytes, values) {
+    const count = values.length;
+    let index = 0;
+    let i = 0;
+    while (i < bytes.length && index < count) {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (i >= bytes.length) {
+                throw new Error('Invalid varint data: stream ended mid-value');
+            }
+            // nbt.js returns signed bytes
+            byte = bytes[i++] & 0xFF;
+            value |= (byte & 0x7F) << shift;
+            shift += 7;
+            if (shift > 35) {
+                throw new Error('Invalid varint data: value too long');
+            }
+        } while ((byte & 0x80) !== 0);
+        values[index++] = value;
+    }
+    if (index < count) {
+        throw new Error(`Invalid varint data: expected ${count} values, got ${index}`);
+    }
+}
+
+// Read the biomes of a Sponge schematic into { palette, indices } for its BlockVolume, or null without
+// any. v3 stores a biome for every block like the blocks; v2 only one per column, which is repeated up
+function getBiomesFromSchem(root, version, blocks) {
+    const { width, height, length } = blocks;
+    let paletteObj;
+    let dataObj;
+    if (version === 3) {
+        if (!root.Biomes || root.Biomes.type !== 'compound') {
+            return null;
+        }
+        paletteObj = root.Biomes.value.Palette;
+        dataObj = root.Biomes.value.Data;
+    } else {
+        paletteObj = root.BiomePalette;
+        dataObj = root.BiomeData;
+    }
+    if (!paletteObj || !dataObj) {
+        return null;
+    }
+    const palette = [];
+    for (const [name, id] of Object.entries(paletteObj.value)) {
+        palette[id.value] = name;
+    }
+    const indices = new Uint16Array(width * height * length);
+    if (version === 3) {
+        decodeVarints(dataObj.value, indices);
+    } else {
+        const columns = new Uint16Array(width * length);
+        decodeVarints(dataObj.value, columns);
+        for (let y = 0; y < height; y++) {
+            indices.set(columns, y * columns.length);
+        }
+    }
+    return { palette, indices };
+}
+
+// Handle Sponge .schem format (versions 1, 2 and 3)
+function getBlocksFromSchem(root) {
+    const version = root.Version ? root.Version.value : 1;
+    if (version < 1 || version > 3) {
+        throw new Error(`Unsupported Sponge schematic version: ${version}`);
+    }
+
+    // Get dimensions of the schematic
+    const { width, height, length } = getDimensions(root);
+
+    // Get the palette and block data. v3 moved them into a Blocks compound
+    let paletteObj;
+    let blockDataObj;
+    if (version === 3) {
+        const blocksObj = root.Blocks;
+        if (!blocksObj || blocksObj.type !== 'compound') {
+            throw new Error('Invalid NBT structure: Blocks field missing or invalid');
+        }
+        paletteObj = blocksObj.value.Palette;
+        blockDataObj = blocksObj.value.Data;
+    } else {
+        paletteObj = root.Palette;
+        blockDataObj = root.BlockData;
+    }
+
+    if (!paletteObj || paletteObj.value === undefined) {
+        throw new Error('Invalid NBT structure: Palette field missing or invalid');
+    }
+    if (!blockDataObj || blockDataObj.value === undefined) {
+        throw new Error('Invalid NBT structure: BlockData field missing or invalid');
+    }
+
+    // Ids missing from the palette are shown as air
+    const blocksById = parsePalette(paletteObj.value);
+    const palette = Array.from(blocksById, block => block || AIR);
+    const blocks = new BlockVolume(width, height, length, palette.length > 0 ? palette : [AIR]);
+
+    // BlockData is in the same order as the volume. Ids are decoded at full width and checked against
+    // the palette before they go into the indices, which may be too narrow to hold ids past it
+    const blockIds = new Uint32Array(blocks.indices.length);
+    decodeVarints(blockDataObj.value, blockIds);
+    const air = blocks.addToPalette(AIR);
+    const skippedBlocks = new Set();
+    for (let i = 0; i < blockIds.length; i++) {
+        const blockId = blockIds[i];
+        if (blocksById[blockId] === undefined) {
+            skippedBlocks.add(blockId);
+            blocks.indices[i] = air;
+        } else {
+            blocks.indices[i] = blockId;
+        }
+    }
+    if (skippedBlocks.size > 0) {
+        console.warn("Failed to get block data for: " + [...skippedBlocks].join(', '));
+    }
+    blocks.biomes = getBiomesFromSchem(root, version, blocks);
+
+    // In v1 and v2, Offset is the world position of the minimum corner. WorldEdit additionally stores that
+    // corner relative to the paste origin as WEOffsetX/Y/Z, so the origin sits at -WEOffset. WorldEdit's
+    // v3 files instead store the paste origin's world position as Metadata.WorldEdit.Origin, and Offset
+    // is then the minimum corner relative to it
+    let offset = root.Offset ? Array.from(root.Offset.value) : [0, 0, 0];
+    const metadata = root.Metadata ? root.Metadata.value : {};
+    let origin;
+    const worldEdit = metadata.WorldEdit && metadata.WorldEdit.type === 'compound' ? metadata.WorldEdit.value : {};
+    if (version === 3 && worldEdit.Origin) {
+        const worldOrigin = Array.from(worldEdit.Origin.value);
+        origin = offset.map(value => 0 - value);
+        offset = offset.map((value, axis) => worldOrigin[axis] + value);
+    } else {
+        origin = ['X', 'Y', 'Z'].map(axis => {
+            const weOffset = metadata['WEOffset' + axis];
+            return weOffset ? 0 - weOffset.value : 0;
+        });
+    }
+
+    return {
+        format: 'sponge',
+        version: version,
+        dataVersion: root.DataVersion ? root.DataVersion.value : undefined,
+        width: width,
+        height: height,
+        length: length,
+        offset: offset,
+        origin: origin,
+        blocks: blocks
+    };
+}
+
+// Read the Litematica metadata compound into plain values
+function getLitematicMetadata(root) {
+    const metadata = root.Metadata ? root.Metadata.value : {};
+    const getValue = (key, fallback) => metadata[key] !== undefined ? metadata[key].value : fallback;
+
+    // The preview image is a square of ARGB ints, convert it to RGBA bytes (usable with ImageData)
+    let preview = null;
+    const previewData = getValue('PreviewImageData');
+    if (previewData && previewData.length > 0) {
+        const size = Math.floor(Math.sqrt(previewData.length));
+        const data = new Uint8ClampedArray(size * size * 4);
+        for (let i = 0; i < size * size; i++) {
+            const argb = previewData[i];
+            data[i * 4] = (argb >> 16) & 0xFF;
+            data[i * 4 + 1] = (argb >> 8) & 0xFF;
+            data[i * 4 + 2] = argb & 0xFF;
+            data[i * 4 + 3] = (argb >>> 24) & 0xFF;
+        }
+        preview = { width: size, height: size, data: data };
+    }
+
+    const timeCreated = getValue('TimeCreated');
+    const timeModified = getValue('TimeModified');
+    return {
+        name: getValue('Name', ''),
+        author: getValue('Author', ''),
+        description: getValue('Description', ''),
+        regionCount: getValue('RegionCount', 0),
+        totalBlocks: getValue('TotalBlocks', 0),
+        totalVolume: getValue('TotalVolume', 0),
+        timeCreated: timeCreated ? longToNumber(timeCreated) : undefined,
+        timeModified: timeModified ? longToNumber(timeModified) : undefined,
+        preview: preview
+    };
+}
+
+// Read a single Litematica region into a flat array of palette entries plus its bounds
+function readLitematicRegion(name, region) {
+    const position = region.Position.value;
+    const size = region.Size.value;
+
+    // Sizes can be negative, in which case the region extends backwards from its position
+    const min = {};
+    const dimensions = {};
+    for (const axis of ['x', 'y', 'z']) {
+        const axisSize = size[axis].value;
+        min[axis] = position[axis].value + (axisSize < 0 ? axisSize + 1 : 0);
+        dimensions[axis] = Math.abs(axisSize);
+    }
+
+    const palette = region.BlockStatePalette.value.value.map(BlockState.fromCompound);
+
+    // Block states are bit-packed indices, which (unlike chunk sections) may span two longs
+    const bits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+    const volume = dimensions.x * dimensions.y * dimensions.z;
+    let indices;
+    try {
+        indices = unpackLongArray(region.BlockStates.value, bits, volume);
+    } catch (error) {
+        throw new Error(`Invalid Litematica region "${name}": ${error.message}`);
+    }
+
+    return { name, min, size: dimensions, palette, indices };
+}
+
+// Handle Litematica .litematic format, merging every enabled region into one block grid
+function getBlocksFromLitematic(root, options = {}) {
+    const regionsObj = root.Regions.value;
+    const regionNames = Object.keys(regionsObj);
+    if (regionNames.length === 0) {
+        throw new Error('Invalid Litematica file: no regions found');
+    }
+
+    // options.regions can limit rendering to a subset of region names
+    const enabledRegions = options.regions ? new Set(options.regions) : null;
+    const regions = [];
+    for (const name of regionNames) {
+        const region = readLitematicRegion(name, regionsObj[name].value);
+        region.enabled = !enabledRegions || enabledRegions.has(name);
+        regions.push(region);
+    }
+
+    // Work out the enclosing box of the enabled regions
+    const active = regions.filter(region => region.enabled);
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const region of active) {
+        for (const axis of ['x', 'y', 'z']) {
+            min[axis] = Math.min(min[axis], region.min[axis]);
+            max[axis] = Math.max(max[axis], region.min[axis] + region.size[axis]);
+        }
+    }
+    const width = active.length > 0 ? max.x - min.x : 0;
+    const height = active.length > 0 ? max.y - min.y : 0;
+    const length = active.length > 0 ? max.z - min.z : 0;
+
+    const blocks = new BlockVolume(width, height, length);
+
+    // Copy each region into the volume. Litematica indexes regions as x + z * width + y * width * length
+    let skippedBlocks = [];
+    for (const region of active) {
+        const offsetX = region.min.x - min.x;
+        const offsetY = region.min.y - min.y;
+        const offsetZ = region.min.z - min.z;
+        const layerSize = region.size.x * region.size.z;
+        const paletteIndices = region.palette.map(block => blocks.addToPalette(block));
+        for (let i = 0; i < region.indices.length; i++) {
+            const block = region.palette[region.indices[i]];
+            if (block === undefined) {
+                skippedBlocks.push(region.indices[i]);
+                continue;
+            }
+            // Don't let air from one region clear blocks of an overlapping one
+            if (block.name === "minecraft:air") {
+                continue;
+            }
+            const x = i % region.size.x;
+            const z = Math.floor(i / region.size.x) % region.size.z;
+            const y = Math.floor(i / layerSize);
+            blocks.setPaletteIndex(x + offsetX, y + offsetY, z + offsetZ, paletteIndices[region.indices[i]]);
+        }
+    }
+    if (skippedBlocks.length > 0) {
+        console.warn("Failed to get block data for: " + [...new Set(skippedBlocks)].join(', '));
+    }
+
+    return {
+        format: 'litematic',
+        version: root.Version ? root.Version.value : undefined,
+        dataVersion: root.MinecraftDataVersion ? root.MinecraftDataVersion.value : undefined,
+        width: width,
+        height: height,
+        length: length,
+        offset: [0, 0, 0],
+        // Region positions are relative to the Litematica origin, so it sits at -min
+        origin: active.length > 0 ? [0 - min.x, 0 - min.y, 0 - min.z] : [0, 0, 0],
+        metadata: getLitematicMetadata(root),
+        regions: regions.map(region => ({
+            name: region.name,
+            position: [region.min.x, region.min.y, region.min.z],
+            size: [region.size.x, region.size.y, region.size.z],
+            enabled: region.enabled
+        })),
+        blocks: blocks
+    };
+}
+
+// Handle vanilla structure block .nbt format
+function getBlocksFromStructure(root, options = {}) {
+    const sizeObj = root.size;
+    if (!sizeObj || sizeObj.type !== 'list' || sizeObj.value.value.length !== 3) {
+        throw new Error('Invalid NBT structure: size field missing or invalid');
+    }
+    const [width, height, length] = sizeObj.value.value;
+
+    // Some structures (e.g. shipwrecks) have several alternative palettes, all indexed by the same states.
+    // options.palette picks which one to use
+    let palettes;
+    if (root.palettes !== undefined) {
+        palettes = root.palettes.value.value.map(palette => palette.value);
+    } else if (root.palette !== undefined) {
+        palettes = [root.palette.value.value];
+    } else {
+        throw new Error('Invalid NBT structure: palette field missing or invalid');
+    }
+    const paletteIndex = options.palette !== undefined ? options.palette : 0;
+    if (paletteIndex < 0 || paletteIndex >= palettes.length) {
+        throw new Error(`Invalid palette index ${paletteIndex}: structure has ${palettes.length} palette(s)`);
+    }
+    const palette = palettes[paletteIndex].map(BlockState.fromCompound);
+
+    // Positions not listed in blocks are structure voids, which we render as air
+    const blocks = new BlockVolume(width, height, length);
+    const paletteIndices = palette.map(block => blocks.addToPalette(block));
+
+    let skippedBlocks = [];
+    const blockEntities = [];
+    for (const entry of root.blocks.value.value) {
+        const [x, y, z] = entry.pos.value.value;
+        const state = entry.state.value;
+        const block = palette[state];
+        if (block === undefined) {
+            skippedBlocks.push(state);
+            continue;
+        }
+        if (x < 0 || y < 0 || z < 0 || x >= width || y >= height || z >= length) {
+            continue;
+        }
+        blocks.setPaletteIndex(x, y, z, paletteIndices[state]);
+
+        // Keep the block entity data (chests, signs...) alongside the grid
+        if (entry.nbt !== undefined) {
+            const data = entry.nbt.value;
+            blockEntities.push({
+                pos: [x, y, z],
+                id: data.id ? data.id.value : block.name,
+                data: data
+            });
+        }
+    }
+    if (skippedBlocks.length > 0) {
+        console.warn("Failed to get block data for: " + [...new Set(skippedBlocks)].join(', '));
+    }
+
+    return {
+        format: 'structure',
+        dataVersion: root.DataVersion ? root.DataVersion.value : undefined,
+        width: width,
+        height: height,
+        length: length,
+        offset: [0, 0, 0],
+        origin: [0, 0, 0],
+        palettes: palettes.length,
+        palette: paletteIndex,
+        blockEntities: blockEntities,
+        blocks: blocks
+    };
+}
+
+// Handle Bedrock .mcstructure format
+function getBlocksFromMcstructure(root) {
+    const sizeObj = root.size;
+    if (!sizeObj || sizeObj.type !== 'list' || sizeObj.value.value.length !== 3) {
+        throw new Error('Invalid NBT structure: size field missing or invalid');
+    }
+    const [width, height, length] = sizeObj.value.value;
+
+    const structure = root.structure.value;
+    const paletteObj = structure.palette && structure.palette.value.default;
+    if (!paletteObj || !paletteObj.value.block_palette) {
+        throw new Error('Invalid NBT structure: palette.default.block_palette field missing or invalid');
+    }
+    if (!structure.block_indices || structure.block_indices.value.value.length === 0) {
+        throw new Error('Invalid NBT structure: block_indices field missing or invalid');
+    }
+
+    // Convert the Bedrock palette to Java block names and properties
+    const palette = paletteObj.value.block_palette.value.value.map(entry => {
+        return convertBedrockBlock(entry.name.value, entry.states ? entry.states.value : {});
+    });
+
+    // Layer 0 holds the blocks, layer 1 mostly holds water for waterlogged blocks. -1 is a structure void
+    const layers = structure.block_indices.value.value;
+    const primary = layers[0].value;
+    const secondary = layers.length > 1 ? layers[1].value : null;
+    const blocks = new BlockVolume(width, height, length);
+    const paletteIndices = palette.map(block => blocks.addToPalette(block));
+    const waterloggedIndices = [];
+
+    let skippedBlocks = [];
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            for (let z = 0; z < length; z++) {
+                // Bedrock stores blocks with z varying fastest, then y, then x
+                const index = z + y * length + x * height * length;
+                const paletteIndex = primary[index];
+                if (paletteIndex < 0) {
+                    continue;
+                }
+                const block = palette[paletteIndex];
+                if (block === undefined) {
+                    skippedBlocks.push(paletteIndex);
+                    continue;
+                }
+
+                const liquid = secondary && secondary[index] >= 0 ? palette[secondary[index]] : undefined;
+                if (liquid && liquid.name === "minecraft:water" && block.name !== "minecraft:air" && block.name !== "minecraft:water") {
+                    if (waterloggedIndices[paletteIndex] === undefined) {
+                        waterloggedIndices[paletteIndex] = blocks.addToPalette(block.with("waterlogged", "true"));
+                    }
+                    blocks.setPaletteIndex(x, y, z, waterloggedIndices[paletteIndex]);
+                } else {
+                    blocks.setPaletteIndex(x, y, z, paletteIndices[paletteIndex]);
+                }
+            }
+        }
+    }
+    if (skippedBlocks.length > 0) {
+        console.warn("Failed to get block data for: " + [...new Set(skippedBlocks)].join(', '));
+    }
+
+    // Block entity data is keyed by the flat block index
+    const blockEntities = [];
+    const positionData = paletteObj.value.block_position_data ? paletteObj.value.block_position_data.value : {};
+    for (const [key, value] of Object.entries(positionData)) {
+        if (!value.value.block_entity_data) {
+            continue;
+        }
+        const index = parseInt(key, 10);
+        const x = Math.floor(index / (height * length));
+        const y = Math.floor(index / length) % height;
+        const z = index % length;
+        const data = value.value.block_entity_data.value;
+        blockEntities.push({
+            pos: [x, y, z],
+            id: data.id ? data.id.value : blocks.get(x, y, z).name,
+            data: data
+        });
+    }
+
+    const worldOrigin = root.structure_world_origin ? root.structure_world_origin.value.value : [0, 0, 0];
+    return {
+        format: 'mcstructure',
+        version: root.format_version.value,
+        width: width,
+        height: height,
+        length: length,
+        offset: Array.from(worldOrigin),
+        origin: [0, 0, 0],
+        blockEntities: blockEntities,
+        blocks: blocks
+    };
+}
+
+// Handle legacy .schematic format (MCEdit/WorldEdit/Schematica)
+function getBlocksFromSchematic(root) {
+    // Get dimensions
+    const { width, height, length } = getDimensions(root);
+
+    // Get Blocks and Data arrays
+    const blocksObj = root.Blocks;
+    const dataObj = root.Data; // Block data/metadata (optional)
+    
+    if (!blocksObj || blocksObj.value === undefined) {
+        throw new Error('Invalid NBT structure: Blocks field missing or invalid');
+    }
+    
+    const blocksArray = blocksObj.value;
+    const dataArray = dataObj && dataObj.value ? dataObj.value : null;
+    // Ids above 255 keep their high bits apart: four per block in AddBlocks (WorldEdit, MCEdit), or
+    // eight in Add (older Schematica versions)
+    const addBlocks = root.AddBlocks ? root.AddBlocks.value : null;
+    const add = root.Add ? root.Add.value : null;
+    // Schematica lists the name of every id it used, since mods (and other versions) could number them differently
+    const mapping = root.SchematicaMapping ? readSchematicaMapping(root.SchematicaMapping.value) : null;
+
+    const getId = index => {
+        let id = blocksArray[index] & 0xFF;
+        if (addBlocks) {
+            const nibbles = addBlocks[index >> 1] & 0xFF;
+            id |= (index & 1 ? nibbles & 0x0F : nibbles >> 4) << 8;
+        } else if (add) {
+            id |= (add[index] & 0xFF) << 8;
+        }
+        return id;
+    };
+    const getData = index => (dataArray ? dataArray[index] & 0x0F : 0);
+    const layerSize = width * length;
+
+    // Every id and data value combination gets one palette entry, found by (id << 8) | data
+    const blocks = new BlockVolume(width, height, length);
+    const paletteIndices = new Map();
+    const skippedBlocks = new Set();
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < length; z++) {
+            for (let x = 0; x < width; x++) {
+                const index = x + z * width + y * layerSize;
+                const blockId = getId(index);
+                const id = mapping && mapping.has(blockId) ? mapping.get(blockId) : blockId;
+                let blockData = getData(index);
+                // Doors and tall plants need the data of their other half, above or below
+                if (typeof id === 'number' && isTwoBlocksTall(id)) {
+                    const other = blockData & 8 ? index - layerSize : index + layerSize;
+                    blockData = mergeHalves(blockData, other >= 0 && other < blocksArray.length ? getData(other) : 0);
+                }
+
+                const key = (blockId << 8) | blockData;
+                let paletteIndex = paletteIndices.get(key);
+                if (paletteIndex === undefined) {
+                    // Names Schematica mapped to something other than a vanilla block (e.g. mod blocks) are kept as they are
+                    let block = typeof id === 'string' ? new BlockState(id) : convertLegacyBlock(id, blockData);
+                    if (block === null) {
+                        skippedBlocks.add(blockId);
+                        block = AIR;
+                    }
+                    paletteIndex = blocks.addToPalette(block);
+                    paletteIndices.set(key, paletteIndex);
+                }
+                blocks.setPaletteIndex(x, y, z, paletteIndex);
+            }
+        }
+    }
+    
+    if (skippedBlocks.size > 0) {
+        console.warn("Unknown block IDs in legacy format: " + [...skippedBlocks].join(', '));
+    }
+    
+    return {
+        format: 'schematic',
+        width: width,
+        height: height,
+        length: length,
+        offset: [0, 0, 0],
+        origin: [0, 0, 0],
+        blocks: blocks
+    };
+}
+
+// Read Schematica's mapping of block names to the ids used in the file, into a map from id to the game's
+// pre-1.13 id for the same block, or the name when it isn't a vanilla block
+function readSchematicaMapping(compound) {
+    const mapping = new Map();
+    for (const [name, tag] of Object.entries(compound)) {
+        const legacyId = getLegacyId(name);
+        mapping.set(tag.value, legacyId !== undefined ? legacyId : name);
+    }
+    return mapping;
+}
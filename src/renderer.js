@@ -1,6 +1,9 @@
 import * as THREE from './lib/three.js';
 import { OrbitControls } from './lib/orbitcontrols.js'
-import loadModel from "./models.js";
+import createMesher from "./mesher.js";
+import { createPageFromPixels } from "./atlas.js";
+import { getWorker, getWorkerOptions, createRemoteMesher } from "./workerclient.js";
+import BlockState from "./blockstate.js";
 
 // Statistics API - emits events that can be intercepted
 function emitStats(eventType, data) {
@@ -14,9 +17,9 @@ function emitStats(eventType, data) {
     window.dispatchEvent(event);
 }
 
-export default async function render(blocks, width, height, length, parent, resources) {
-	const startTime = Date.now();
-    
+// Set up a scene, camera, controls and animation loop inside parent. Block meshes are added by
+// render() and can be swapped out without touching any of this
+export function createViewport(parent) {
     // Get parent dimensions - handle both div and body cases
     const getParentSize = () => {
         const parentWidth = parent.clientWidth || window.innerWidth;
@@ -39,6 +42,12 @@ export default async function render(blocks, width, height, length, parent, reso
     canvas.style.height = '100%';
     canvas.style.display = 'block';
 
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.autoRotate = true;
+
+    // Statistics of the current content, reported with the FPS
+    const stats = { meshes: 0, vertices: 0, faces: 0 };
+
     // Handle window resize
     const handleResize = () => {
         const newSize = getParentSize();
@@ -58,240 +67,22 @@ export default async function render(blocks, width, height, length, parent, reso
     window.addEventListener('resize', handleResize);
     
     // Also handle parent element resize if it's a div (using ResizeObserver)
+    let resizeObserver = null;
     if (parent !== document.body && typeof ResizeObserver !== 'undefined') {
-        const resizeObserver = new ResizeObserver(() => {
+        resizeObserver = new ResizeObserver(() => {
             handleResize();
         });
         resizeObserver.observe(parent);
     }
 
-    emitStats('render:start', {
-        dimensions: { width, height, length },
-        blockCount: blocks.flat(2).filter(b => b && b.name !== 'minecraft:air').length
-    });
-
-    // Step 1: Collect all unique block types and their positions
-    const blockMap = new Map(); // key: blockKey, value: { blockName, properties, positions: [] }
-    const skippedBlocks = {};
-    const blockGrid = new Map(); // For face culling: key: "x,y,z", value: block
-    
-    console.log('Collecting block data...');
-    for (let y = 0; y < blocks.length; y++) {
-        for (let x = 0; x < blocks[y].length; x++) {
-            for (let z = 0; z < blocks[y][x].length; z++) {
-                const block = blocks[y][x][z];
-                const id = block.name;
-                if (id === "minecraft:air") {
-                    continue;
-                }
-
-                // Get the blockName by removing the namespace
-                let blockName = id.substring(id.indexOf(":") + 1);
-
-                // Check for waxed state blocks
-                if (blockName.startsWith("waxed_")) {
-                    blockName = blockName.substring(6);
-                }
-
-                // Create a key for this block type (including properties for rotation)
-                const properties = block.properties || [];
-                const blockKey = `${blockName}_${JSON.stringify(properties)}`;
-                
-                if (!blockMap.has(blockKey)) {
-                    blockMap.set(blockKey, {
-                        blockName: blockName,
-                        properties: properties,
-                        positions: []
-                    });
-                }
-                
-                blockMap.get(blockKey).positions.push({ x, y, z });
-                blockGrid.set(`${x},${y},${z}`, block);
-            }
-        }
-    }
-
-    emitStats('blocks:collected', {
-        uniqueBlockTypes: blockMap.size,
-        totalBlocks: Array.from(blockMap.values()).reduce((sum, b) => sum + b.positions.length, 0)
-    });
-
-    console.log(`Found ${blockMap.size} unique block types, loading models in parallel...`);
-
-    // Step 2: Load all unique block models in parallel (much faster than sequential)
-    const modelPromises = [];
-    const blockKeys = Array.from(blockMap.keys());
-    
-    for (const blockKey of blockKeys) {
-        const blockData = blockMap.get(blockKey);
-        const blockForModel = {
-            name: 'block/' + blockData.blockName,
-            properties: blockData.properties
-        };
-        
-        modelPromises.push(
-            loadModel(blockForModel, resources).then(model => {
-                return { blockKey, model };
-            }).catch(error => {
-                console.warn(`Failed to load model for ${blockData.blockName}:`, error);
-                if (!skippedBlocks[blockData.blockName]) skippedBlocks[blockData.blockName] = 0;
-                skippedBlocks[blockData.blockName]++;
-                return { blockKey, model: null };
-            })
-        );
-    }
-
-    // Wait for all models to load in parallel
-    const loadedModels = await Promise.all(modelPromises);
-    const modelCache = new Map();
-    loadedModels.forEach(({ blockKey, model }) => {
-        if (model !== null) {
-            modelCache.set(blockKey, model);
-        }
-    });
-
-    emitStats('models:loaded', {
-        loaded: modelCache.size,
-        failed: blockKeys.length - modelCache.size,
-        skippedBlocks: skippedBlocks
-    });
-
-    console.log(`Loaded ${modelCache.size} models, creating meshes...`);
-
-    // Step 3: Create meshes efficiently with progressive rendering
-    const geometryCache = new Map();
-    const materialCache = new Map();
-    let meshCount = 0;
-    let vertexCount = 0;
-    let faceCount = 0;
-    
-    // Process blocks in chunks for progressive rendering
-    const CHUNK_SIZE = 50; // Process 50 block types at a time
-    const blockEntries = Array.from(blockMap.entries());
-    
-    for (let i = 0; i < blockEntries.length; i += CHUNK_SIZE) {
-        const chunk = blockEntries.slice(i, i + CHUNK_SIZE);
-        
-        for (const [blockKey, blockData] of chunk) {
-            const model = modelCache.get(blockKey);
-            if (!model) continue;
-
-            const positions = blockData.positions;
-            if (positions.length === 0) continue;
-
-            // Check if this block type has rotations or special properties
-            const hasRotation = blockData.properties.some(p => 
-                p.startsWith("facing=") || p.startsWith("axis=") || p.startsWith("half=") || p.startsWith("type=")
-            );
-
-            // Get or create cached geometry and materials
-            let cachedGeo = geometryCache.get(blockKey);
-            let cachedMat = materialCache.get(blockKey);
-            
-            if (!cachedGeo || !cachedMat) {
-                // Extract geometry and materials from the model
-                const extracted = extractGeometryAndMaterials(model);
-                cachedGeo = extracted.geometry;
-                cachedMat = extracted.materials;
-                
-                if (cachedGeo && cachedMat) {
-                    geometryCache.set(blockKey, cachedGeo);
-                    materialCache.set(blockKey, cachedMat);
-                } else {
-                    continue; // Skip if we can't extract geometry
-                }
-            }
-
-            if (hasRotation || positions.length < 5) {
-                // For rotated blocks or small counts, create individual meshes
-                // But reuse the geometry and materials
-                positions.forEach(({ x, y, z }) => {
-                    const mesh = new THREE.Mesh(cachedGeo.clone(), cachedMat);
-                    applyTransformations(mesh, x, y, z, blockData.properties);
-                    scene.add(mesh);
-                    meshCount++;
-                    
-                    // Count vertices and faces
-                    if (mesh.geometry.attributes.position) {
-                        vertexCount += mesh.geometry.attributes.position.count;
-                        faceCount += mesh.geometry.attributes.position.count / 3;
-                    }
-                });
-            } else {
-                // For blocks without rotation, merge geometries for better performance
-                const meshes = [];
-                positions.forEach(({ x, y, z }) => {
-                    const clonedGeo = translateGeometry(cachedGeo.clone(), x, y, z);
-                    meshes.push(new THREE.Mesh(clonedGeo, cachedMat));
-                });
-                
-                // Try to merge geometries
-                const merged = mergeGeometries(meshes);
-                if (merged) {
-                    scene.add(merged);
-                    meshCount += positions.length;
-                    
-                    // Count vertices and faces
-                    if (merged.geometry.attributes.position) {
-                        vertexCount += merged.geometry.attributes.position.count;
-                        faceCount += merged.geometry.attributes.position.count / 3;
-                    }
-                } else {
-                    // Fallback: add individually
-                    meshes.forEach(mesh => {
-                        scene.add(mesh);
-                        if (mesh.geometry.attributes.position) {
-                            vertexCount += mesh.geometry.attributes.position.count;
-                            faceCount += mesh.geometry.attributes.position.count / 3;
-                        }
-                    });
-                    meshCount += meshes.length;
-                }
-            }
-        }
-        
-        // Emit progress stats
-        emitStats('render:progress', {
-            processed: Math.min(i + CHUNK_SIZE, blockEntries.length),
-            total: blockEntries.length,
-            meshes: meshCount,
-            vertices: vertexCount,
-            faces: Math.floor(faceCount)
-        });
-        
-        // Yield to browser for smooth rendering
-        await new Promise(resolve => setTimeout(resolve, 0));
-    }
-
-    emitStats('render:complete', {
-        meshes: meshCount,
-        vertices: vertexCount,
-        faces: Math.floor(faceCount),
-        uniqueBlockTypes: blockMap.size
-    });
-
-    console.log(`Created ${meshCount} meshes`);
-
-    // Step 4: Setup camera and controls
-    const controls = new OrbitControls(camera, renderer.domElement);
-    camera.position.set(width / 2, height + (height / 3), length + 10);
-    controls.target.set(width / 2, height / 2, length / 2);
-    controls.autoRotate = true;
-    controls.update();
-
-    // Add a grid at the bottom of the scene
-    const gridSize = Math.max(width, length);
-    const gridHelper = new THREE.GridHelper(gridSize, gridSize);
-    gridHelper.position.set((width / 2), 0, (length / 2) - 0.5);
-    scene.add(gridHelper);
-
-    // Step 5: Start animation loop with FPS tracking
+    // Start animation loop with FPS tracking
     let frameCount = 0;
     let lastTime = performance.now();
     let fps = 0;
+    let animationFrame = null;
     
     function animate() {
-        requestAnimationFrame(animate);
+        animationFrame = requestAnimationFrame(animate);
         
         // Calculate FPS
         frameCount++;
@@ -304,9 +95,9 @@ export default async function render(blocks, width, height, length, parent, reso
             // Emit FPS stats
             emitStats('fps', {
                 fps: fps,
-                meshes: meshCount,
-                vertices: vertexCount,
-                faces: Math.floor(faceCount)
+                meshes: stats.meshes,
+                vertices: stats.vertices,
+                faces: stats.faces
             });
         }
         
@@ -315,278 +106,231 @@ export default async function render(blocks, width, height, length, parent, reso
     }
 
     animate();
-    
-    const renderTime = (Date.now() - startTime) / 1000;
-    
-    emitStats('render:finished', {
-        totalTime: renderTime,
-        meshes: meshCount,
-        vertices: vertexCount,
-        faces: Math.floor(faceCount),
-        uniqueBlockTypes: blockMap.size,
-        skippedBlocks: skippedBlocks
-    });
-    
-    console.log("Rendered!", "\n- Unique block types:", blockMap.size, "\n- Total meshes:", meshCount, "\n- Skipped blocks:", skippedBlocks, "\n- Time:", renderTime.toFixed(2), "s");
-    
-    // Return cleanup function
-    return () => {
-        window.removeEventListener('resize', handleResize);
-        renderer.dispose();
-        scene.clear();
-    };
-}
 
-// Extract geometry and materials from a model group
-function extractGeometryAndMaterials(model) {
-    const geometries = [];
-    const materials = [];
-    
-    model.traverse((child) => {
-        if (child instanceof THREE.Mesh) {
-            if (child.geometry) {
-                geometries.push(child.geometry);
-            }
-            if (child.material) {
-                if (Array.isArray(child.material)) {
-                    materials.push(...child.material);
-                } else {
-                    materials.push(child.material);
-                }
-            }
-        }
-    });
-    
-    if (geometries.length === 0) {
-        return { geometry: null, materials: null };
-    }
-    
-    // Merge all geometries into one
-    let mergedGeometry = geometries[0];
-    if (geometries.length > 1) {
-        // Clone and merge
-        for (let i = 1; i < geometries.length; i++) {
-            const geo = geometries[i].clone();
-            // Translate to account for mesh position
-            const mesh = model.children.find(c => c.geometry === geometries[i]);
-            if (mesh) {
-                const translated = translateGeometry(geo, mesh.position.x, mesh.position.y, mesh.position.z);
-                mergedGeometry = mergeTwoGeometries(mergedGeometry, translated);
-            } else {
-                mergedGeometry = mergeTwoGeometries(mergedGeometry, geo);
+    return {
+        scene,
+        camera,
+        controls,
+        renderer,
+        stats,
+        // Stop the animation loop and release the WebGL context, listeners and canvas
+        dispose() {
+            cancelAnimationFrame(animationFrame);
+            window.removeEventListener('resize', handleResize);
+            if (resizeObserver) {
+                resizeObserver.disconnect();
             }
+            controls.dispose();
+            scene.traverse(disposeObject);
+            scene.clear();
+            renderer.dispose();
+            renderer.forceContextLoss();
+            canvas.remove();
         }
-    }
-    
-    // Use first material (or create multi-material if needed)
-    const material = materials.length > 0 ? materials[0] : new THREE.MeshBasicMaterial({ color: 0xffffff });
-    
-    return { geometry: mergedGeometry, materials: material };
+    };
 }
 
-// Merge two geometries
-function mergeTwoGeometries(geo1, geo2) {
-    try {
-        // Simple approach: create a new geometry with combined attributes
-        const merged = new THREE.BufferGeometry();
-        
-        const pos1 = geo1.attributes.position;
-        const pos2 = geo2.attributes.position;
-        const norm1 = geo1.attributes.normal;
-        const norm2 = geo2.attributes.normal;
-        const uv1 = geo1.attributes.uv;
-        const uv2 = geo2.attributes.uv;
-        
-        const positions = [];
-        const normals = [];
-        const uvs = [];
-        
-        // Add geometry 1
-        if (pos1) {
-            for (let i = 0; i < pos1.count; i++) {
-                positions.push(pos1.getX(i), pos1.getY(i), pos1.getZ(i));
-            }
-        }
-        if (norm1) {
-            for (let i = 0; i < norm1.count; i++) {
-                normals.push(norm1.getX(i), norm1.getY(i), norm1.getZ(i));
-            }
-        }
-        if (uv1) {
-            for (let i = 0; i < uv1.count; i++) {
-                uvs.push(uv1.getX(i), uv1.getY(i));
-            }
-        }
-        
-        // Add geometry 2
-        if (pos2) {
-            for (let i = 0; i < pos2.count; i++) {
-                positions.push(pos2.getX(i), pos2.getY(i), pos2.getZ(i));
-            }
-        }
-        if (norm2) {
-            for (let i = 0; i < norm2.count; i++) {
-                normals.push(norm2.getX(i), norm2.getY(i), norm2.getZ(i));
-            }
-        }
-        if (uv2) {
-            for (let i = 0; i < uv2.count; i++) {
-                uvs.push(uv2.getX(i), uv2.getY(i));
-            }
-        }
-        
-        merged.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        if (normals.length > 0) {
-            merged.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        }
-        if (uvs.length > 0) {
-            merged.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-        }
-        
-        // Merge indices if they exist
-        if (geo1.index && geo2.index) {
-            const indices = [];
-            const offset = pos1 ? pos1.count : 0;
-            
-            // Add indices from geo1
-            for (let i = 0; i < geo1.index.count; i++) {
-                indices.push(geo1.index.getX(i));
-            }
-            
-            // Add indices from geo2 with offset
-            for (let i = 0; i < geo2.index.count; i++) {
-                indices.push(geo2.index.getX(i) + offset);
-            }
-            
-            merged.setIndex(indices);
-        } else if (geo1.index) {
-            merged.setIndex(geo1.index);
-        } else if (geo2.index) {
-            const offset = pos1 ? pos1.count : 0;
-            const indices = [];
-            for (let i = 0; i < geo2.index.count; i++) {
-                indices.push(geo2.index.getX(i) + offset);
+// Free the GPU resources held by a mesh or helper
+export function disposeObject(object) {
+    // Groups returned by render also hold a mesher, whose state may be in the worker
+    if (object.userData.renderState) {
+        object.userData.renderState.mesher.dispose();
+    }
+    if (object.geometry) {
+        object.geometry.dispose();
+    }
+    if (object.material) {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        for (const material of materials) {
+            if (material.map) {
+                material.map.dispose();
             }
-            merged.setIndex(indices);
+            material.dispose();
         }
-        
-        return merged;
-    } catch (error) {
-        console.warn('Failed to merge geometries:', error);
-        return geo1; // Return first geometry as fallback
     }
 }
 
-// Translate a BufferGeometry
-function translateGeometry(geometry, x, y, z) {
-    const pos = geometry.attributes.position;
-    if (!pos) return geometry;
+// Build the meshes for a BlockVolume into a group, add it to the viewport's scene and frame the camera
+// on it. Returns the group, which can be removed (and disposed) to load something else, or passed to
+// updateBlocks to change blocks in place. resources is a base URL, the bytes of a resource pack, a Map of
+// files or a list of those layered on each other, see readResources in resources.js. The mesh data is
+// built in a worker where possible (see mesher.js and workerclient.js), and only turned into three.js
+// objects here.
+// options.culling controls hiding faces covered by neighbouring blocks, see getCullingRules in culling.js.
+// Custom culling rules are functions, which can't be sent to the worker, so the meshes are built on the
+// main thread with them.
+// options.greedyMeshing merges the faces of full cube blocks into larger quads, see greedy.js.
+// options.instancingThreshold is how many blocks sharing a model variant in a 64x64x64 region it takes to
+// draw them as one InstancedMesh (default 16). Full cubes are always merged, so their hidden faces can be
+// left out.
+// options.offset is the world position of the blocks' corner, like the offset of a parsed schematic
+// (default 0, 0, 0). Blocks with weighted models pick theirs by world position, the way the game does.
+// options.biome is the biome (like "minecraft:plains", the default) grass, leaves and water are coloured
+// for where the blocks have no biome data, see tint.js.
+// options.worker can be false to do everything on the main thread
+export default async function render(blocks, viewport, resources, options = {}) {
+	const startTime = Date.now();
+    const { width, height, length } = blocks;
+    const { camera, controls } = viewport;
+    const group = new THREE.Group();
+    viewport.scene.add(group);
+
+    const mesherOptions = Object.assign(getWorkerOptions(options), {
+        maxTextureSize: viewport.renderer ? Math.min(4096, viewport.renderer.capabilities.maxTextureSize) : undefined
+    });
+    const worker = await getWorker(options);
+    const state = {
+        blocks, group, viewport,
+        mesher: worker
+            ? createRemoteMesher(worker, blocks, resources, mesherOptions, emitStats)
+            : createMesher(blocks, resources, mesherOptions, emitStats),
+        // The atlas pages, and their materials for meshes and greedy meshes. Meshes share these arrays,
+        // which grow in place as pages are added
+        pages: [],
+        materials: [],
+        tiledMaterials: [],
+        // key: "x,y,z" section coordinates, value: the section's group
+        sections: new Map(),
+        // Updates are applied one at a time, in order
+        queue: Promise.resolve()
+    };
+    group.userData.renderState = state;
+
+    // Build the sections, adding each batch to the scene as it arrives
+    const totals = await state.mesher.build(batch => applySections(state, batch));
+
+    console.log(`Created ${totals.meshes} meshes in ${totals.sections} sections`);
+    updateViewportStats(viewport, totals);
+
+    // Frame the camera on the content
+    camera.position.set(width / 2, height + (height / 3), length + 10);
+    controls.target.set(width / 2, height / 2, length / 2);
+    controls.update();
+
+    // Add a grid at the bottom of the scene
+    const gridSize = Math.max(width, length);
+    const gridHelper = new THREE.GridHelper(gridSize, gridSize);
+    gridHelper.position.set((width / 2), 0, (length / 2) - 0.5);
+    group.add(gridHelper);
     
-    const positions = [];
-    for (let i = 0; i < pos.count; i++) {
-        positions.push(
-            pos.getX(i) + x,
-            pos.getY(i) + y,
-            pos.getZ(i) + z
-        );
-    }
+    const renderTime = (Date.now() - startTime) / 1000;
+    
+    emitStats('render:finished', {
+        totalTime: renderTime,
+        meshes: totals.meshes,
+        vertices: totals.vertices,
+        faces: totals.faces,
+        uniqueBlockTypes: totals.uniqueBlockTypes,
+        skippedBlocks: totals.skippedBlocks
+    });
+    
+    console.log("Rendered!", "\n- Unique block types:", totals.uniqueBlockTypes, "\n- Total meshes:", totals.meshes, "\n- Skipped blocks:", totals.skippedBlocks, "\n- Time:", renderTime.toFixed(2), "s");
     
-    const newGeo = geometry.clone();
-    newGeo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    return newGeo;
+    return group;
 }
 
-// Merge multiple meshes into one
-function mergeGeometries(meshes) {
-    if (meshes.length === 0) return null;
-    if (meshes.length === 1) {
-        const mesh = meshes[0];
-        const geo = translateGeometry(mesh.geometry.clone(), mesh.position.x, mesh.position.y, mesh.position.z);
-        return new THREE.Mesh(geo, mesh.material);
+// Change blocks of a group returned by render, rebuilding only the sections they are in (and the
+// sections next to them when a change is on the border, since it can hide or show their faces).
+// changes is a list of { x, y, z, block } in grid coordinates, with blocks as BlockStates or anything
+// BlockState.from takes, like "minecraft:oak_stairs[facing=north]"
+export async function updateBlocks(content, changes) {
+    const state = content.userData.renderState;
+    if (!state) {
+        throw new Error('Can only update blocks of a group returned by render');
     }
-    
-    try {
-        let merged = translateGeometry(
-            meshes[0].geometry.clone(),
-            meshes[0].position.x,
-            meshes[0].position.y,
-            meshes[0].position.z
-        );
-        
-        for (let i = 1; i < meshes.length; i++) {
-            const geo = translateGeometry(
-                meshes[i].geometry.clone(),
-                meshes[i].position.x,
-                meshes[i].position.y,
-                meshes[i].position.z
-            );
-            merged = mergeTwoGeometries(merged, geo);
+    const blocks = state.blocks;
+    for (const { x, y, z } of changes) {
+        if (!blocks.contains(x, y, z)) {
+            throw new Error(`Block position ${x}, ${y}, ${z} is outside the ${blocks.width}x${blocks.height}x${blocks.length} grid`);
         }
-        
-        const material = meshes[0].material;
-        return new THREE.Mesh(merged, material);
-    } catch (error) {
-        console.warn('Failed to merge meshes:', error);
-        return null;
     }
+    // Parse every block before changing any, so a bad one leaves the grid as it was
+    changes = changes.map(change => Object.assign({}, change, { block: BlockState.from(change.block) }));
+    // The mesher may have its own copy of the blocks, keep ours up to date too
+    for (const { x, y, z, block } of changes) {
+        blocks.set(x, y, z, block);
+    }
+
+    const run = state.queue.then(async () => {
+        const startTime = Date.now();
+        const update = await state.mesher.update(changes);
+        applySections(state, update);
+        updateViewportStats(state.viewport, update.totals);
+        emitStats('render:updated', Object.assign(update.totals, {
+            changedBlocks: changes.length,
+            rebuiltSections: update.sections.filter(section => !section.instances).length,
+            totalTime: (Date.now() - startTime) / 1000
+        }));
+    });
+    state.queue = run.catch(() => {});
+    await run;
 }
 
-// Apply transformations based on block properties
-function applyTransformations(mesh, x, y, z, properties) {
-    mesh.position.set(x, y, z);
-    
-    if (!properties || properties.length === 0) return;
-    
-    // Get if upside down
-    const half = properties.find(property => property.startsWith("half="));
-    const upsideDown = half && half.substring(5) === "top";
-    if (upsideDown) {
-        mesh.rotation.x = Math.PI;
+// Show the mesh totals of the content in the viewport's stats
+function updateViewportStats(viewport, totals) {
+    viewport.stats.meshes = totals.meshes;
+    viewport.stats.vertices = totals.vertices;
+    viewport.stats.faces = totals.faces;
+}
+
+// Add new atlas pages and swap in rebuilt sections, from a batch of mesher output
+function applySections(state, batch) {
+    for (const { size, pixels } of batch.pages) {
+        const page = createPageFromPixels(size, pixels);
+        state.pages.push(page);
+        state.materials.push(page.material);
+        state.tiledMaterials.push(page.tiledMaterial);
     }
 
-    // Get facing property
-    const facing = properties.find(property => property.startsWith("facing="));
-    if (facing) {
-        const direction = facing.substring(7);
-        switch (direction) {
-            case "north":
-                mesh.rotation.y += upsideDown ? -Math.PI / 2 : Math.PI / 2;
-                break;
-            case "east":
-                mesh.rotation.y += 0;
-                break;
-            case "south":
-                mesh.rotation.y += upsideDown ? Math.PI / 2 : -Math.PI / 2;
-                break;
-            case "west":
-                mesh.rotation.y += upsideDown ? -Math.PI : Math.PI;
-                break;
+    for (const section of batch.sections) {
+        const old = state.sections.get(section.key);
+        if (old) {
+            state.group.remove(old);
+            // The materials belong to the atlas and are shared between sections, only free the geometry
+            old.traverse(child => {
+                if (child.geometry) {
+                    child.geometry.dispose();
+                }
+            });
+            state.sections.delete(section.key);
+        }
+        if (section.meshes.length === 0) {
+            continue;
         }
-    }
 
-    // Get type property
-    const type = properties.find(property => property.startsWith("type="));
-    if (type) {
-        const typeValue = type.substring(5);
-        if (typeValue === "top") {
-            mesh.position.y += 0.5;
+        const sectionGroup = new THREE.Group();
+        sectionGroup.position.fromArray(section.position);
+        const [sx, sy, sz] = section.coords;
+        // The instanced meshes of a region come in a group of their own, see buildInstances in mesher.js
+        sectionGroup.userData[section.instances ? 'instanceRegion' : 'section'] = { x: sx, y: sy, z: sz };
+        for (const mesh of section.meshes) {
+            const geometry = createGeometry(mesh.geometry);
+            if (mesh.type === 'instanced') {
+                const instanced = new THREE.InstancedMesh(geometry, state.materials, mesh.count);
+                instanced.instanceMatrix = new THREE.InstancedBufferAttribute(mesh.matrices, 16);
+                sectionGroup.add(instanced);
+            } else {
+                sectionGroup.add(new THREE.Mesh(geometry, mesh.type === 'greedy' ? state.tiledMaterials : state.materials));
+            }
         }
+        state.group.add(sectionGroup);
+        state.sections.set(section.key, sectionGroup);
     }
+}
 
-    // Get axis property
-    const axis = properties.find(property => property.startsWith("axis="));
-    if (axis) {
-        const direction = axis.substring(5);
-        switch (direction) {
-            case "x":
-                mesh.rotation.z = Math.PI / 2;
-                break;
-            case "y":
-                mesh.rotation.y = 0;
-                break;
-            case "z":
-                mesh.rotation.x = Math.PI / 2;
-                break;
-        }
+// Turn geometry data from the mesher back into a BufferGeometry, using its arrays as they are
+function createGeometry(data) {
+    const geometry = new THREE.BufferGeometry();
+    for (const [name, attribute] of Object.entries(data.attributes)) {
+        geometry.setAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize));
+    }
+    geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+    for (const group of data.groups) {
+        geometry.addGroup(group.start, group.count, group.materialIndex);
     }
+    const [minX, minY, minZ, maxX, maxY, maxZ] = data.boundingBox;
+    geometry.boundingBox = new THREE.Box3(new THREE.Vector3(minX, minY, minZ), new THREE.Vector3(maxX, maxY, maxZ));
+    const [x, y, z, radius] = data.boundingSphere;
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(x, y, z), radius);
+    return geometry;
 }
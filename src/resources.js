@@ -0,0 +1,215 @@
+import * as THREE from './lib/three.js';
+import readZip from './zip.js';
+import { readInput, getInputName } from './input.js';
+
+// Where models.js reads blockstates, models and textures from: a base URL the assets are fetched from, a
+// resource pack .zip unpacked in memory, a Map of files, or a stack of those. Each is a source with
+// readJson(path) and loadTexture(path), where paths are like "assets/minecraft/models/block/stone.json"
+
+// key: base URL, value: its source
+const urlSources = new Map();
+// key: the bytes of a resource pack, a Map of files or a list of layers, value: its source
+const sources = new WeakMap();
+let nextSourceId = 1;
+
+// Turn the resources given to renderSchematic into what render takes. A base URL stays as it is, a Map
+// (or plain object) of paths to files stays a Map, and anything else (a .zip URL, File, Blob,
+// ArrayBuffer...) is read into the bytes of a resource pack.
+// A list of those is a stack of packs, highest priority first like the game's list of selected packs:
+// each file comes from the first pack that has it. It becomes a list of { name, data } layers
+export async function readResources(resources, options = {}) {
+    if (Array.isArray(resources)) {
+        return Promise.all(resources.map(async (layer, i) => ({
+            name: typeof layer === 'string' ? layer : getInputName(layer) || `pack ${i}`,
+            data: await readResources(layer, options)
+        })));
+    }
+    if (typeof resources === 'string' && !resources.split(/[?#]/)[0].endsWith('.zip')) {
+        return resources;
+    }
+    if (resources instanceof Map) {
+        return resources;
+    }
+    if (resources !== null && Object.getPrototypeOf(resources) === Object.prototype) {
+        return new Map(Object.entries(resources));
+    }
+    const bytes = resources instanceof Uint8Array ? resources : new Uint8Array(await readInput(resources, options));
+    // Unpack it now, so a file that isn't a resource pack fails here rather than for every model
+    getResourceSource(bytes);
+    return bytes;
+}
+
+// Get the source for resources as readResources returns them. Sources are shared, so each pack is only
+// unpacked once
+export default function getResourceSource(resources) {
+    if (typeof resources === 'string') {
+        if (!urlSources.has(resources)) {
+            urlSources.set(resources, createUrlSource(resources));
+        }
+        return urlSources.get(resources);
+    }
+    if (!sources.has(resources)) {
+        let source;
+        if (Array.isArray(resources)) {
+            source = createLayeredSource(resources);
+        } else if (resources instanceof Map) {
+            source = createMapSource(resources);
+        } else {
+            source = createZipSource(resources instanceof Uint8Array ? resources : new Uint8Array(resources));
+        }
+        sources.set(resources, source);
+    }
+    return sources.get(resources);
+}
+
+function createUrlSource(baseUrl) {
+    return {
+        id: baseUrl,
+
+        // Resolves to null when the file is missing or isn't JSON
+        readJson(path) {
+            return fetch(`${baseUrl}/${path}`).then(response => {
+                return response.status === 200 ? response.json() : null;
+            }).catch(() => {
+                return null;
+            });
+        },
+
+        // Workers have no DOM to load images into, so there they are ImageBitmaps
+        loadTexture(path) {
+            const inWorker = typeof document === 'undefined';
+            const textureLoader = inWorker ? new THREE.ImageBitmapLoader() : new THREE.TextureLoader();
+            return new Promise((resolve, reject) => {
+                textureLoader.load(`${baseUrl}/${path}`, loaded => {
+                    resolve(inWorker ? new THREE.Texture(loaded) : loaded);
+                }, undefined, reject);
+            });
+        }
+    };
+}
+
+function createZipSource(bytes) {
+    const entries = readZip(bytes);
+    // Packs are often zipped with their folder, so the paths start wherever the assets folder is
+    const match = entries.map(entry => /(^|\/)assets\//.exec(entry.name)).find(result => result !== null);
+    if (match === undefined) {
+        throw new Error('Invalid resource pack: no assets folder found');
+    }
+    const prefix = match.input.substring(0, match.index + match[1].length);
+    // key: path inside the pack, value: zip entry
+    const files = new Map();
+    for (const entry of entries) {
+        if (entry.name.startsWith(prefix)) {
+            files.set(entry.name.substring(prefix.length), entry);
+        }
+    }
+    const decoder = new TextDecoder('utf-8');
+
+    return {
+        id: `zip:${nextSourceId++}`,
+
+        async readJson(path) {
+            const entry = files.get(path);
+            if (entry === undefined) {
+                return null;
+            }
+            try {
+                return JSON.parse(decoder.decode(entry.read()));
+            } catch (error) {
+                console.warn(`Failed to read ${path} from the resource pack:`, error);
+                return null;
+            }
+        },
+
+        async loadTexture(path) {
+            const entry = files.get(path);
+            if (entry === undefined) {
+                throw new Error(`${path} is not in the resource pack`);
+            }
+            return decodeTexture(new Blob([entry.read()], { type: 'image/png' }));
+        }
+    };
+}
+
+// Files given directly, keyed by path: JSON as parsed objects, text or bytes, and textures as PNG bytes,
+// Blobs or ImageBitmaps
+function createMapSource(files) {
+    const decoder = new TextDecoder('utf-8');
+
+    return {
+        id: `map:${nextSourceId++}`,
+
+        async readJson(path) {
+            let value = files.get(path);
+            if (value === undefined) {
+                return null;
+            }
+            try {
+                if (value instanceof Blob) {
+                    value = await value.text();
+                } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+                    value = decoder.decode(value);
+                }
+                // models.js fills in the models it loads, which mustn't change the caller's objects
+                return typeof value === 'string' ? JSON.parse(value) : structuredClone(value);
+            } catch (error) {
+                console.warn(`Failed to read ${path} from the resource map:`, error);
+                return null;
+            }
+        },
+
+        async loadTexture(path) {
+            const value = files.get(path);
+            if (value === undefined) {
+                throw new Error(`${path} is not in the resource map`);
+            }
+            if (typeof ImageBitmap !== 'undefined' && value instanceof ImageBitmap) {
+                return new THREE.Texture(value);
+            }
+            return decodeTexture(value instanceof Blob ? value : new Blob([value], { type: 'image/png' }));
+        }
+    };
+}
+
+// A stack of { name, data } layers, where each file comes from the first layer that has it. Which layer
+// supplied each file is kept in origins, as path -> layer name
+function createLayeredSource(layers) {
+    const stack = layers.map(layer => ({ name: layer.name, source: getResourceSource(layer.data) }));
+    const origins = new Map();
+
+    return {
+        id: stack.map(layer => layer.source.id).join('|'),
+        origins,
+
+        async readJson(path) {
+            for (const layer of stack) {
+                const json = await layer.source.readJson(path);
+                if (json !== null) {
+                    origins.set(path, layer.name);
+                    return json;
+                }
+            }
+            return null;
+        },
+
+        async loadTexture(path) {
+            let lastError = new Error(`${path} is in none of the resource packs`);
+            for (const layer of stack) {
+                try {
+                    const texture = await layer.source.loadTexture(path);
+                    origins.set(path, layer.name);
+                    return texture;
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            throw lastError;
+        }
+    };
+}
+
+// ImageBitmaps, decoded the same way in a worker and on the main thread
+async function decodeTexture(blob) {
+    const image = await createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+    return new THREE.Texture(image);
+}
@@ -0,0 +1,170 @@
+// Colours for the faces models mark with a tintindex, like the game's BlockColors: grass, leaves and water
+// take the colour of the biome they are in, read from the grass and foliage colormaps by the biome's
+// temperature and downfall, and a few blocks have fixed colours or ones that depend on their state
+
+import * as THREE from './lib/three.js';
+import getResourceSource from './resources.js';
+import { createCanvas } from './atlas.js';
+
+export const DEFAULT_BIOME = 'minecraft:plains';
+
+// Temperature and downfall of the overworld biomes, which pick their place on the colormaps. Biomes not
+// listed (the Nether and the End, which have no grass, or modded ones) use the default biome's
+const CLIMATES = {
+    plains: [0.8, 0.4], sunflower_plains: [0.8, 0.4], snowy_plains: [0, 0.5], ice_spikes: [0, 0.5],
+    desert: [2, 0], swamp: [0.8, 0.9], mangrove_swamp: [0.8, 0.9], forest: [0.7, 0.8],
+    flower_forest: [0.7, 0.8], birch_forest: [0.6, 0.6], old_growth_birch_forest: [0.6, 0.6],
+    dark_forest: [0.7, 0.8], pale_garden: [0.7, 0.8], old_growth_pine_taiga: [0.3, 0.8],
+    old_growth_spruce_taiga: [0.25, 0.8], taiga: [0.25, 0.8], snowy_taiga: [-0.5, 0.4], savanna: [2, 0],
+    savanna_plateau: [2, 0], windswept_hills: [0.2, 0.3], windswept_gravelly_hills: [0.2, 0.3],
+    windswept_forest: [0.2, 0.3], windswept_savanna: [2, 0], jungle: [0.95, 0.9], sparse_jungle: [0.95, 0.8],
+    bamboo_jungle: [0.95, 0.9], badlands: [2, 0], eroded_badlands: [2, 0], wooded_badlands: [2, 0],
+    meadow: [0.5, 0.8], cherry_grove: [0.5, 0.8], grove: [-0.2, 0.8], snowy_slopes: [-0.3, 0.9],
+    frozen_peaks: [-0.7, 0.9], jagged_peaks: [-0.7, 0.9], stony_peaks: [1, 0.3], river: [0.5, 0.5],
+    frozen_river: [0, 0.5], beach: [0.8, 0.4], snowy_beach: [0.05, 0.3], stony_shore: [0.2, 0.3],
+    warm_ocean: [0.5, 0.5], lukewarm_ocean: [0.5, 0.5], deep_lukewarm_ocean: [0.5, 0.5], ocean: [0.5, 0.5],
+    deep_ocean: [0.5, 0.5], cold_ocean: [0.5, 0.5], deep_cold_ocean: [0.5, 0.5], frozen_ocean: [0, 0.5],
+    deep_frozen_ocean: [0.5, 0.5], mushroom_fields: [0.9, 1], dripstone_caves: [0.8, 0.4],
+    lush_caves: [0.5, 0.5], deep_dark: [0.8, 0.4]
+};
+
+// Biomes that don't take their grass and foliage colours from the colormaps
+const GRASS_COLORS = {
+    swamp: 0x6A7039, mangrove_swamp: 0x6A7039, badlands: 0x90814D, eroded_badlands: 0x90814D,
+    wooded_badlands: 0x90814D, cherry_grove: 0xB6DB61, pale_garden: 0x778272
+};
+const FOLIAGE_COLORS = {
+    swamp: 0x6A7039, mangrove_swamp: 0x8DB127, badlands: 0x9E814D, eroded_badlands: 0x9E814D,
+    wooded_badlands: 0x9E814D, cherry_grove: 0xB6DB61, pale_garden: 0x878D76
+};
+const WATER_COLORS = {
+    swamp: 0x617B64, mangrove_swamp: 0x3A7A6A, meadow: 0x0E4ECF, cherry_grove: 0x5DB7EF,
+    pale_garden: 0x76889D, warm_ocean: 0x43D5EE, lukewarm_ocean: 0x45ADF2, deep_lukewarm_ocean: 0x45ADF2,
+    cold_ocean: 0x3D57D6, deep_cold_ocean: 0x3D57D6, frozen_ocean: 0x3938C9, deep_frozen_ocean: 0x3938C9,
+    frozen_river: 0x3938C9
+};
+const DEFAULT_WATER_COLOR = 0x3F76E4;
+// Used when the resources have no colormaps: the colours of the default biome
+const DEFAULT_GRASS_COLOR = 0x91BD59;
+const DEFAULT_FOLIAGE_COLOR = 0x77AB2F;
+
+const GRASS_BLOCKS = new Set([
+    'grass_block', 'short_grass', 'tall_grass', 'fern', 'large_fern', 'potted_fern', 'sugar_cane', 'bush',
+    'pink_petals', 'wildflowers'
+]);
+const FOLIAGE_BLOCKS = new Set(['oak_leaves', 'jungle_leaves', 'acacia_leaves', 'dark_oak_leaves', 'mangrove_leaves', 'vine']);
+const WATER_BLOCKS = new Set(['water', 'bubble_column', 'water_cauldron']);
+const FIXED_COLORS = {
+    spruce_leaves: 0x619961,
+    birch_leaves: 0x80A755,
+    lily_pad: 0x208030,
+    attached_melon_stem: 0xE0C71C,
+    attached_pumpkin_stem: 0xE0C71C
+};
+
+// key: resource source id, value: promise of its { grass, foliage } colormaps
+const colormapCache = new Map();
+
+function getBiomeName(biome) {
+    return biome.startsWith('minecraft:') ? biome.substring(10) : biome;
+}
+
+// Whether a block's colour depends on the biome it is in, so it needs a block type per biome
+export function isBiomeTinted(block) {
+    return block.namespace === 'minecraft' && (GRASS_BLOCKS.has(block.path) || FOLIAGE_BLOCKS.has(block.path) || WATER_BLOCKS.has(block.path));
+}
+
+// Load the grass and foliage colormaps of the resources (see resources.js), as ImageData. Either is null
+// when the resources don't have it, and the default biome's colour is used instead
+export function loadColormaps(resources) {
+    const source = getResourceSource(resources);
+    if (!colormapCache.has(source.id)) {
+        colormapCache.set(source.id, Promise.all(['grass', 'foliage'].map(name => {
+            return source.loadTexture(`assets/minecraft/textures/colormap/${name}.png`).then(texture => {
+                const { image } = texture;
+                const context = createCanvas(image.width, image.height).getContext('2d');
+                context.drawImage(image, 0, 0);
+                return context.getImageData(0, 0, image.width, image.height);
+            }).catch(() => null);
+        })).then(([grass, foliage]) => ({ grass, foliage })));
+    }
+    return colormapCache.get(source.id);
+}
+
+// Look up a biome's colour on a colormap the way the game does: the hotter and wetter the biome, the
+// closer to the top left corner
+function sampleColormap(colormap, biome, fallback) {
+    const [temperature, downfall] = CLIMATES[biome] || CLIMATES[getBiomeName(DEFAULT_BIOME)];
+    if (colormap === null) {
+        return fallback;
+    }
+    const clampedTemperature = THREE.MathUtils.clamp(temperature, 0, 1);
+    const clampedDownfall = THREE.MathUtils.clamp(downfall, 0, 1) * clampedTemperature;
+    const x = Math.floor((1 - clampedTemperature) * 255);
+    const y = Math.floor((1 - clampedDownfall) * 255);
+    if (x >= colormap.width || y >= colormap.height) {
+        return fallback;
+    }
+    const offset = (y * colormap.width + x) * 4;
+    return (colormap.data[offset] << 16) | (colormap.data[offset + 1] << 8) | colormap.data[offset + 2];
+}
+
+function getGrassColor(biome, colormaps) {
+    if (GRASS_COLORS[biome] !== undefined) {
+        return GRASS_COLORS[biome];
+    }
+    const color = sampleColormap(colormaps.grass, biome, DEFAULT_GRASS_COLOR);
+    // Dark forests darken their grass
+    return biome === 'dark_forest' ? ((color & 0xFEFEFE) + 0x28340A) >> 1 : color;
+}
+
+function getFoliageColor(biome, colormaps) {
+    return FOLIAGE_COLORS[biome] !== undefined ? FOLIAGE_COLORS[biome] : sampleColormap(colormaps.foliage, biome, DEFAULT_FOLIAGE_COLOR);
+}
+
+// Redstone dust goes from dark to bright red with its power level
+function getRedstoneColor(power) {
+    const f = power / 15;
+    const red = f * 0.6 + (f > 0 ? 0.4 : 0.3);
+    const green = THREE.MathUtils.clamp(f * f * 0.7 - 0.5, 0, 1);
+    const blue = THREE.MathUtils.clamp(f * f * 0.6 - 0.7, 0, 1);
+    return (Math.round(red * 255) << 16) | (Math.round(green * 255) << 8) | Math.round(blue * 255);
+}
+
+// The colour of a block's tinted faces as a hex number, or null for blocks without one
+function getTintColor(block, biome, colormaps) {
+    if (block.namespace !== 'minecraft') {
+        return null;
+    }
+    const name = block.path;
+    biome = getBiomeName(biome);
+    if (GRASS_BLOCKS.has(name)) {
+        return getGrassColor(biome, colormaps);
+    }
+    if (FOLIAGE_BLOCKS.has(name)) {
+        return getFoliageColor(biome, colormaps);
+    }
+    if (WATER_BLOCKS.has(name)) {
+        return WATER_COLORS[biome] !== undefined ? WATER_COLORS[biome] : DEFAULT_WATER_COLOR;
+    }
+    if (FIXED_COLORS[name] !== undefined) {
+        return FIXED_COLORS[name];
+    }
+    if (name === 'redstone_wire') {
+        return getRedstoneColor(Number(block.get('power')) || 0);
+    }
+    // Stems turn from green to yellow as they grow
+    if (name === 'melon_stem' || name === 'pumpkin_stem') {
+        const age = Number(block.get('age')) || 0;
+        return (age * 32 << 16) | ((255 - age * 8) << 8) | age * 4;
+    }
+    return null;
+}
+
+// Get the colour of a block's tinted faces in a biome (like "minecraft:plains"), with colormaps from
+// loadColormaps. Returns null for blocks without one, whose tinted faces are drawn as they are, like the
+// game does for blocks (e.g. from mods) it has no colours for
+export default function getTint(block, biome, colormaps) {
+    const color = getTintColor(block, biome, colormaps);
+    return color === null ? null : new THREE.Color(color);
+}
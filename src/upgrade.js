@@ -0,0 +1,91 @@
+// Upgrades block states saved by older versions of the game to the names and properties of current ones,
+// like the game's DataFixer does when it loads an old world. Files record the version that saved them as
+// a DataVersion; each rule below applies to blocks saved before the version it lists, in order, so a
+// 1.13 block goes through every rule since
+
+import BlockState from './blockstate.js';
+
+// Sponge v1 schematics don't record a data version, they were written by 1.13's WorldEdit
+export const SPONGE_V1_DATA_VERSION = 1519;
+
+const WALL_SIDES = ['north', 'south', 'west', 'east'];
+
+function rename(block, name) {
+    return new BlockState(`${block.namespace}:${name}`, block.properties);
+}
+
+const RULES = [
+    {
+        // 1.14: signs got wood types, and the old stone slab became the smooth stone slab
+        version: 1952,
+        renames: { sign: 'oak_sign', wall_sign: 'oak_wall_sign', stone_slab: 'smooth_stone_slab' }
+    },
+    {
+        // 1.16: walls can be low or tall on each side, and jigsaws face two ways
+        version: 2566,
+        upgrade(block) {
+            if (block.path.endsWith('_wall') && WALL_SIDES.some(side => block.get(side) === 'true' || block.get(side) === 'false')) {
+                const properties = new Map(block.properties);
+                for (const side of WALL_SIDES) {
+                    if (properties.has(side)) {
+                        properties.set(side, properties.get(side) === 'true' ? 'low' : 'none');
+                    }
+                }
+                return new BlockState(block.name, properties);
+            }
+            if (block.path === 'jigsaw' && block.get('facing') !== undefined) {
+                const facing = block.get('facing');
+                const orientation = facing === 'down' ? 'down_south' : facing === 'up' ? 'up_north' : `${facing}_up`;
+                const properties = new Map(block.properties);
+                properties.delete('facing');
+                properties.set('orientation', orientation);
+                return new BlockState(block.name, properties);
+            }
+            return block;
+        }
+    },
+    {
+        // 1.17: grass paths became dirt paths, and cauldrons holding water a block of their own
+        version: 2724,
+        renames: { grass_path: 'dirt_path' },
+        upgrade(block) {
+            if (block.path !== 'cauldron' || block.get('level') === undefined) {
+                return block;
+            }
+            const level = block.get('level');
+            return level === '0'
+                ? new BlockState(block.name)
+                : new BlockState(`${block.namespace}:water_cauldron`, { level });
+        }
+    },
+    {
+        // 1.20.3: grass became short grass
+        version: 3698,
+        renames: { grass: 'short_grass' }
+    },
+    {
+        // 1.21.9: chains became iron chains, next to the new copper ones
+        version: 4554,
+        renames: { chain: 'iron_chain' }
+    }
+];
+
+// Upgrade a block state saved at dataVersion to the current version. Blocks of other namespaces (mods) are
+// left alone, and so are blocks without a known data version
+export default function upgradeBlock(block, dataVersion) {
+    if (dataVersion === undefined || block.namespace !== 'minecraft') {
+        return block;
+    }
+    for (const rule of RULES) {
+        if (dataVersion >= rule.version) {
+            continue;
+        }
+        if (rule.renames && rule.renames[block.path] !== undefined) {
+            block = rename(block, rule.renames[block.path]);
+        }
+        if (rule.upgrade) {
+            block = rule.upgrade(block);
+        }
+    }
+    return block;
+}
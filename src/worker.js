@@ -0,0 +1,101 @@
+import parseSchematicData from './parser.js';
+import readWorld from './anvil.js';
+import createMesher, { getTransferables } from './mesher.js';
+import BlockVolume from './blockvolume.js';
+
+// The worker side of workerclient.js: decompresses and parses files, and builds the mesh data, off the
+// main thread. Requests are { id, type, data }; replies echo the id and carry an event, a result or an error
+
+// key: mesher id, value: { mesher, post } where post sends events for the request being worked on
+const meshers = new Map();
+let nextMesherId = 1;
+// key: pack id, value: the resources sent with addResourcePack
+const resourcePacks = new Map();
+
+// Resources are sent as URLs, or { packId } for ones sent before
+function getResources(resources) {
+    return typeof resources === 'string' ? resources : resourcePacks.get(resources.packId);
+}
+
+// Parsed schematics are sent with their BlockVolume as plain data, and its indices transferred
+function packSchematic(schematic) {
+    const blocks = schematic.blocks.toData();
+    return { result: Object.assign({}, schematic, { blocks }), transfer: [blocks.indices.buffer] };
+}
+
+function getMesher(mesherId) {
+    const entry = meshers.get(mesherId);
+    if (!entry) {
+        throw new Error(`Unknown mesher ${mesherId}`);
+    }
+    return entry;
+}
+
+// Each handler gets the request's data and post(event, data, transfer), and returns { result, transfer }
+const handlers = {
+    async parseSchematic({ buffer, name, options }) {
+        return packSchematic(await parseSchematicData(buffer, name, options));
+    },
+
+    parseWorld({ sources, options }) {
+        return packSchematic(readWorld(sources, options));
+    },
+
+    addResourcePack({ packId, data }) {
+        // The layers of a list are sent before it
+        if (Array.isArray(data)) {
+            data = data.map(layer => ({ name: layer.name, data: getResources(layer.data) }));
+        }
+        resourcePacks.set(packId, data);
+        return { result: null };
+    },
+
+    createMesher({ blocks, resources, options }) {
+        resources = getResources(resources);
+        const mesherId = nextMesherId++;
+        const entry = { mesher: null, post: null };
+        entry.mesher = createMesher(BlockVolume.fromData(blocks), resources, options, (type, data) => {
+            if (entry.post) {
+                entry.post('stats', { type, data });
+            }
+        });
+        meshers.set(mesherId, entry);
+        return { result: mesherId };
+    },
+
+    async build({ mesherId }, post) {
+        const entry = getMesher(mesherId);
+        entry.post = post;
+        const totals = await entry.mesher.build(batch => post('batch', batch, getTransferables(batch)));
+        return { result: totals };
+    },
+
+    async update({ mesherId, changes }, post) {
+        const entry = getMesher(mesherId);
+        entry.post = post;
+        const update = await entry.mesher.update(changes);
+        return { result: update, transfer: getTransferables(update) };
+    },
+
+    disposeMesher({ mesherId }) {
+        meshers.delete(mesherId);
+        return { result: null };
+    }
+};
+
+self.addEventListener('message', async (event) => {
+    const { id, type, data } = event.data;
+    const post = (name, eventData, transfer = []) => self.postMessage({ id, event: name, data: eventData }, transfer);
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown request: ${type}`);
+        }
+        const { result, transfer } = await handler(data, post);
+        self.postMessage({ id, result }, transfer || []);
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message } });
+    }
+});
+
+self.postMessage({ ready: true });
@@ -0,0 +1,155 @@
+// Runs parsing and meshing in a Web Worker (see worker.js), shared by every viewer on the page. Each
+// call posts a request with an id; the worker answers with any number of events (statistics, built
+// sections) and then the result or an error.
+//
+// Where there are no module workers, or the worker script fails to load, getWorker resolves to null and
+// callers do the work on the main thread instead. So do options.worker = false, and options holding
+// functions (like custom culling rules), which can't be sent to a worker
+
+let workerPromise = null;
+let nextId = 1;
+// key: request id, value: { resolve, reject, onEvent }
+const pending = new Map();
+// key: the bytes of a resource pack, a Map of files or a list of layers, value: the id the worker keeps it
+// under
+const sentPacks = new WeakMap();
+let nextPackId = 1;
+
+export function getWorker(options = {}) {
+    if (options.worker === false || typeof Worker === 'undefined' || hasFunctions(getWorkerOptions(options))) {
+        return Promise.resolve(null);
+    }
+    if (workerPromise === null) {
+        workerPromise = new Promise(resolve => {
+            let worker;
+            try {
+                worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                console.warn('Could not start the worker, working on the main thread instead:', error);
+                resolve(null);
+                return;
+            }
+            worker.addEventListener('message', event => {
+                const message = event.data;
+                // The worker says when it has loaded, so a script that fails to load isn't waited on
+                if (message.ready) {
+                    resolve(worker);
+                    return;
+                }
+                const call = pending.get(message.id);
+                if (!call) {
+                    return;
+                }
+                if (message.event !== undefined) {
+                    call.onEvent(message.event, message.data);
+                } else if (message.error !== undefined) {
+                    pending.delete(message.id);
+                    const error = new Error(message.error.message);
+                    error.name = message.error.name;
+                    call.reject(error);
+                } else {
+                    pending.delete(message.id);
+                    call.resolve(message.result);
+                }
+            });
+            worker.addEventListener('error', event => {
+                console.warn('Worker failed, working on the main thread instead:', event.message);
+                // Does nothing once the worker has loaded, in which case the calls in flight fail
+                resolve(null);
+                for (const call of pending.values()) {
+                    call.reject(new Error(`Worker failed: ${event.message}`));
+                }
+                pending.clear();
+                // Later calls stay on the main thread
+                workerPromise = Promise.resolve(null);
+            });
+        });
+    }
+    return workerPromise;
+}
+
+// Send a request to the worker. transfer lists buffers to move rather than copy, and onEvent(event, data)
+// gets the events sent before the result
+export function callWorker(worker, type, data, transfer = [], onEvent = () => {}) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, onEvent });
+        try {
+            worker.postMessage({ id, type, data }, transfer);
+        } catch (error) {
+            pending.delete(id);
+            reject(error);
+        }
+    });
+}
+
+// Copy the options the worker needs. signal and fetchOptions are only used to read the input, which
+// happens on the main thread, and can't be cloned
+export function getWorkerOptions(options = {}) {
+    const { signal, fetchOptions, ...rest } = options;
+    return rest;
+}
+
+// Whether a value holds functions, which can't be cloned into a message
+function hasFunctions(value) {
+    if (typeof value === 'function') {
+        return true;
+    }
+    if (value === null || typeof value !== 'object' || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+        return false;
+    }
+    return Object.values(value).some(hasFunctions);
+}
+
+// Get what the worker should use for resources as readResources returns them (see resources.js). Resource
+// packs are copied to the worker once and kept there, so it only unpacks them once too; a list of layers
+// is sent with each of its layers replaced by what the worker keeps it under
+function sendResources(worker, resources) {
+    if (typeof resources === 'string') {
+        // Relative URLs would be resolved against the worker script rather than the page
+        return typeof location !== 'undefined' ? new URL(resources, location.href).href : resources;
+    }
+    let packId = sentPacks.get(resources);
+    if (packId === undefined) {
+        packId = nextPackId++;
+        sentPacks.set(resources, packId);
+        const data = Array.isArray(resources)
+            ? resources.map(layer => ({ name: layer.name, data: sendResources(worker, layer.data) }))
+            : resources;
+        callWorker(worker, 'addResourcePack', { packId, data }).catch(() => {});
+    }
+    return { packId };
+}
+
+// A mesher (see createMesher in mesher.js) whose work happens in the worker. The BlockVolume is copied
+// over, so the caller keeps its own
+export function createRemoteMesher(worker, blocks, resources, options, emitStats) {
+    resources = sendResources(worker, resources);
+    const onStats = (event, data) => {
+        if (event === 'stats') {
+            emitStats(data.type, data.data);
+        }
+    };
+    const created = callWorker(worker, 'createMesher', { blocks: blocks.toData(), resources, options });
+
+    return {
+        async build(onBatch) {
+            const mesherId = await created;
+            return callWorker(worker, 'build', { mesherId }, [], (event, data) => {
+                if (event === 'batch') {
+                    onBatch(data);
+                } else {
+                    onStats(event, data);
+                }
+            });
+        },
+        async update(changes) {
+            const mesherId = await created;
+            return callWorker(worker, 'update', { mesherId, changes }, [], onStats);
+        },
+        // Free the mesher's state in the worker
+        dispose() {
+            created.then(mesherId => callWorker(worker, 'disposeMesher', { mesherId })).catch(() => {});
+        }
+    };
+}
@@ -0,0 +1,85 @@
+import * as pako from './lib/pako.js';
+
+// A minimal ZIP reader, enough to read world saves and resource packs in the browser.
+// Supports stored and deflated entries; ZIP64 archives and encryption are not supported
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Check for the local file header signature ("PK\x03\x04") at the start of the data
+export function isZip(data) {
+    return data.length >= 4 && data[0] === 0x50 && data[1] === 0x4b && data[2] === 0x03 && data[3] === 0x04;
+}
+
+// Read the central directory of a ZIP archive. Returns a list of entries whose data is only
+// inflated when read() is called
+export default function readZip(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits at the end, followed by a comment of up to 64KiB
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Invalid ZIP archive: end of central directory not found');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    if (entryCount === 0xFFFF || offset === 0xFFFFFFFF) {
+        throw new Error('Unsupported ZIP archive: ZIP64 is not supported');
+    }
+
+    const decoder = new TextDecoder('utf-8');
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Invalid ZIP archive: corrupt central directory');
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // Skip directories, they have no data of their own
+        if (name.endsWith('/')) {
+            continue;
+        }
+
+        entries.push({
+            name: name,
+            size: size,
+            compressedSize: compressedSize,
+            read() {
+                if (flags & 0x1) {
+                    throw new Error(`Unsupported ZIP entry ${name}: encrypted entries are not supported`);
+                }
+                if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+                    throw new Error(`Invalid ZIP entry ${name}: local header not found`);
+                }
+                // The local header's name and extra field lengths can differ from the central directory's
+                const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const compressed = bytes.subarray(dataOffset, dataOffset + compressedSize);
+                if (method === 0) {
+                    return compressed;
+                } else if (method === 8) {
+                    return pako.inflateRaw(compressed);
+                }
+                throw new Error(`Unsupported ZIP entry ${name}: compression method ${method}`);
+            }
+        });
+    }
+    return entries;
+}
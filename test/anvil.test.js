@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as pako from '../src/lib/pako.js';
+import nbt from '../src/lib/nbt.js';
+
+// See parser.test.js, the reader uses nbt.js as a global
+globalThis.nbt = nbt;
+const { default: readWorld } = await import('../src/anvil.js');
+
+const SECTOR_SIZE = 4096;
+
+// A 1.18+ chunk with one section at sectionY, holding stone in its lowest corner and air elsewhere
+function createChunk(x, z, sectionY) {
+    // 4 bits per block: the first long holds blocks 0 to 15, and only block 0 is set
+    const data = Array.from({ length: 256 }, (_, i) => [0, i === 0 ? 1 : 0]);
+    const section = {
+        Y: { type: 'byte', value: sectionY },
+        block_states: {
+            type: 'compound',
+            value: {
+                palette: {
+                    type: 'list',
+                    value: {
+                        type: 'compound',
+                        value: [
+                            { Name: { type: 'string', value: 'minecraft:air' } },
+                            { Name: { type: 'string', value: 'minecraft:stone' } }
+                        ]
+                    }
+                },
+                data: { type: 'longArray', value: data }
+            }
+        }
+    };
+    const root = {
+        DataVersion: { type: 'int', value: 3700 },
+        xPos: { type: 'int', value: x },
+        zPos: { type: 'int', value: z },
+        sections: { type: 'list', value: { type: 'compound', value: [section] } }
+    };
+    return pako.deflate(new Uint8Array(nbt.writeUncompressed({ name: '', value: root })));
+}
+
+// A region file from [location table index, zlib compressed chunk data] pairs
+function createRegionFile(chunks) {
+    const sectors = [];
+    const header = new Uint8Array(SECTOR_SIZE * 2);
+    const headerView = new DataView(header.buffer);
+    for (const [index, payload] of chunks) {
+        const sectorCount = Math.ceil((payload.length + 5) / SECTOR_SIZE);
+        headerView.setUint32(index * 4, ((2 + sectors.length) << 8) | sectorCount);
+        const sector = new Uint8Array(sectorCount * SECTOR_SIZE);
+        const view = new DataView(sector.buffer);
+        view.setUint32(0, payload.length + 1);
+        sector[4] = 2;
+        sector.set(payload, 5);
+        for (let i = 0; i < sectorCount; i++) {
+            sectors.push(sector.subarray(i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE));
+        }
+    }
+    const file = new Uint8Array(header.length + sectors.length * SECTOR_SIZE);
+    file.set(header);
+    sectors.forEach((sector, i) => file.set(sector, header.length + i * SECTOR_SIZE));
+    return file;
+}
+
+test('chunks are placed by their coordinates, and the offset is the area\'s corner in the world', () => {
+    // Region -1, 2 starts at chunk -32, 64. Index 33 is one chunk along x and z from index 0
+    const world = readWorld([{
+        name: 'r.-1.2.mca',
+        data: createRegionFile([[0, createChunk(-32, 64, 4)], [33, createChunk(-31, 65, 5)]])
+    }]);
+
+    assert.deepEqual([world.width, world.height, world.length], [32, 32, 32]);
+    assert.deepEqual(world.offset, [-512, 64, 1024]);
+    assert.equal(world.chunks, 2);
+    assert.equal(world.blocks.get(0, 0, 0).name, 'minecraft:stone');
+    assert.equal(world.blocks.get(16, 16, 16).name, 'minecraft:stone');
+    assert.equal(world.blocks.get(16, 0, 16).name, 'minecraft:air');
+});
+
+test('chunks that can\'t be read are skipped and counted', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const world = readWorld([{
+        name: 'r.0.0.mca',
+        data: createRegionFile([[0, createChunk(0, 0, 4)], [1, new Uint8Array([1, 2, 3, 4, 5, 6])]])
+    }]);
+
+    assert.equal(world.chunks, 1);
+    assert.equal(world.skippedChunks, 1);
+    assert.deepEqual([world.width, world.length], [16, 16]);
+    assert.ok(warn.mock.calls.length > 0);
+});
+
+test('areas over maxVolume are turned down before any chunk is read', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    // The broken chunk would be warned about if it were read
+    const data = createRegionFile([[0, createChunk(0, 0, 4)], [2, new Uint8Array([1, 2, 3, 4, 5, 6])]]);
+
+    // Without Y bounds the full world height of 384 blocks is counted
+    assert.throws(() => readWorld([{ name: 'r.0.0.mca', data }], { maxVolume: 100000 }), /Area of 48x384x16 blocks is too large/);
+    assert.equal(warn.mock.calls.length, 0);
+
+    const world = readWorld([{ name: 'r.0.0.mca', data }], { maxVolume: 100000, minY: 64, maxY: 79 });
+    assert.equal(world.skippedChunks, 1);
+});
+
+test('options.radius keeps the chunks around the first one', () => {
+    const world = readWorld([{
+        name: 'r.0.0.mca',
+        data: createRegionFile([[0, createChunk(0, 0, 4)], [1, createChunk(1, 0, 4)], [2, createChunk(2, 0, 4)]])
+    }], { radius: 1 });
+
+    assert.equal(world.chunks, 2);
+    assert.deepEqual(world.offset, [0, 64, 0]);
+    assert.deepEqual([world.width, world.length], [32, 16]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BlockState from '../src/blockstate.js';
+
+test('names without a namespace are in the minecraft namespace', () => {
+    const block = BlockState.parse('oak_stairs[facing=north, half = top]');
+
+    assert.equal(block.name, 'minecraft:oak_stairs');
+    assert.equal(block.path, 'oak_stairs');
+    assert.deepEqual([...block.properties], [['facing', 'north'], ['half', 'top']]);
+});
+
+test('empty brackets mean no properties', () => {
+    const block = BlockState.parse('stone[]');
+
+    assert.equal(block.key, 'minecraft:stone');
+    assert.equal(block.properties.size, 0);
+    assert.equal(BlockState.parse('stone[ ]').key, 'minecraft:stone');
+});
+
+test('quoted names and values keep commas, brackets and escaped quotes', () => {
+    const block = BlockState.parse(`somemod:sign[text="a, b]", 'odd key'='it\\'s', path="C:\\\\"]`);
+
+    assert.equal(block.get('text'), 'a, b]');
+    assert.equal(block.get('odd key'), "it's");
+    assert.equal(block.get('path'), 'C:\\');
+    // Written back with double quotes, and parsed to the same state
+    assert.equal(block.toString(), 'somemod:sign[text="a, b]","odd key"="it\'s",path="C:\\\\"]');
+    assert.equal(BlockState.parse(block.toString()).key, block.key);
+});
+
+test('the key sorts properties, so equal states match whatever order they are given in', () => {
+    const a = BlockState.parse('oak_stairs[half=top,facing=north]');
+    const b = BlockState.from({ name: 'minecraft:oak_stairs', properties: ['facing=north', 'half=top'] });
+
+    assert.equal(a.key, 'minecraft:oak_stairs[facing=north,half=top]');
+    assert.equal(a.toString(), 'minecraft:oak_stairs[half=top,facing=north]');
+    assert.ok(a.equals(b));
+});
+
+test('malformed states are rejected with where the problem is', () => {
+    assert.throws(() => BlockState.parse('[facing=north]'), /missing block name/);
+    assert.throws(() => BlockState.parse('stone[facing]'), /expected '=' at 12, found '\]'/);
+    assert.throws(() => BlockState.parse('stone[facing=north'), /expected ',' or '\]' at 18, found the end/);
+    assert.throws(() => BlockState.parse('stone[facing=]'), /expected a property name or value at 13/);
+    assert.throws(() => BlockState.parse('stone[facing="north]'), /expected closing " at 20/);
+    assert.throws(() => BlockState.parse('stone[facing=north]x'), /expected the end at 19, found 'x'/);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as pako from '../src/lib/pako.js';
+import nbt from '../src/lib/nbt.js';
+
+// See parser.test.js, the parser uses nbt.js as a global
+globalThis.nbt = nbt;
+const { default: parseSchematicData } = await import('../src/parser.js');
+
+// A legacy .schematic of width x height x 1 blocks, given in x then y order like the file stores them
+function createSchematic(width, height, ids, data, extra = {}) {
+    const root = {
+        Width: { type: 'short', value: width },
+        Height: { type: 'short', value: height },
+        Length: { type: 'short', value: 1 },
+        Materials: { type: 'string', value: 'Alpha' },
+        Blocks: { type: 'byteArray', value: ids },
+        Data: { type: 'byteArray', value: data },
+        ...extra
+    };
+    return pako.gzip(new Uint8Array(nbt.writeUncompressed({ name: 'Schematic', value: root }))).buffer;
+}
+
+function getRow(schematic, y = 0) {
+    return Array.from({ length: schematic.width }, (_, x) => schematic.blocks.get(x, y, 0).key);
+}
+
+test('stairs, trapdoors and buttons keep their orientation', async () => {
+    const schematic = await parseSchematicData(createSchematic(7, 1, [53, 67, 96, 96, 77, 143, 143], [0, 6, 9, 6, 4, 5, 0]), 'test.schematic');
+
+    assert.deepEqual(getRow(schematic), [
+        'minecraft:oak_stairs[facing=east,half=bottom,shape=straight]',
+        'minecraft:cobblestone_stairs[facing=south,half=top,shape=straight]',
+        'minecraft:oak_trapdoor[facing=south,half=top,open=false]',
+        'minecraft:oak_trapdoor[facing=west,half=bottom,open=true]',
+        'minecraft:stone_button[face=wall,facing=north,powered=false]',
+        'minecraft:oak_button[face=floor,facing=north,powered=false]',
+        'minecraft:oak_button[face=ceiling,facing=north,powered=false]'
+    ]);
+});
+
+test('colours and wood types come from the data value', async () => {
+    const schematic = await parseSchematicData(createSchematic(3, 1, [35, 17, 5], [14, 6, 4]), 'test.schematic');
+
+    assert.deepEqual(getRow(schematic), ['minecraft:red_wool', 'minecraft:birch_log[axis=x]', 'minecraft:acacia_planks']);
+});
+
+test('door halves take the facing from the lower half and the hinge from the upper one', async () => {
+    // An oak door facing south with its hinge on the right, and an open iron door facing north that is powered
+    const schematic = await parseSchematicData(createSchematic(2, 2, [64, 71, 64, 71], [1, 7, 9, 10]), 'test.schematic');
+
+    assert.deepEqual(getRow(schematic, 0), [
+        'minecraft:oak_door[facing=south,half=lower,hinge=right,open=false,powered=false]',
+        'minecraft:iron_door[facing=north,half=lower,hinge=left,open=true,powered=true]'
+    ]);
+    assert.deepEqual(getRow(schematic, 1), [
+        'minecraft:oak_door[facing=south,half=upper,hinge=right,open=false,powered=false]',
+        'minecraft:iron_door[facing=north,half=upper,hinge=left,open=true,powered=true]'
+    ]);
+});
+
+test('ids above 255 take their high bits from AddBlocks and their names from SchematicaMapping', async () => {
+    // AddBlocks holds the high four bits of two blocks per byte, the first block's in the upper half
+    const schematic = await parseSchematicData(createSchematic(3, 1, [1, 2, 88], [14, 0, 0], {
+        AddBlocks: { type: 'byteArray', value: [0x12, 0x20] },
+        SchematicaMapping: {
+            type: 'compound',
+            value: {
+                'minecraft:wool': { type: 'short', value: 257 },
+                'minecraft:gold_block': { type: 'short', value: 514 },
+                'somemod:machine': { type: 'short', value: 600 }
+            }
+        }
+    }), 'test.schematic');
+
+    assert.deepEqual(getRow(schematic), ['minecraft:red_wool', 'minecraft:gold_block', 'somemod:machine']);
+});
+
+test('Add holds a whole byte of high bits per block', async () => {
+    const schematic = await parseSchematicData(createSchematic(2, 1, [1, 35], [0, 5], {
+        Add: { type: 'byteArray', value: [1, 0] },
+        SchematicaMapping: { type: 'compound', value: { 'minecraft:glass': { type: 'short', value: 257 } } }
+    }), 'test.schematic');
+
+    assert.deepEqual(getRow(schematic), ['minecraft:glass', 'minecraft:lime_wool']);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as pako from '../src/lib/pako.js';
+import nbt from '../src/lib/nbt.js';
+
+// See parser.test.js, the parser uses nbt.js as a global
+globalThis.nbt = nbt;
+const { default: parseSchematicData } = await import('../src/parser.js');
+
+// Pack values of `bits` bits back to back into NBT longs ([upper, lower] signed ints), like Litematica
+function packLongs(values, bits) {
+    const longs = new Array(Math.ceil(values.length * bits / 64)).fill(0n);
+    values.forEach((value, i) => {
+        const bit = i * bits;
+        longs[Math.floor(bit / 64)] |= BigInt.asUintN(64, BigInt(value) << BigInt(bit % 64));
+        if (bit % 64 + bits > 64) {
+            longs[Math.floor(bit / 64) + 1] |= BigInt(value) >> BigInt(64 - bit % 64);
+        }
+    });
+    return longs.map(long => [Number(BigInt.asIntN(32, long >> 32n)), Number(BigInt.asIntN(32, long & 0xFFFFFFFFn))]);
+}
+
+function vector(x, y, z) {
+    return { type: 'compound', value: { x: { type: 'int', value: x }, y: { type: 'int', value: y }, z: { type: 'int', value: z } } };
+}
+
+// blocks are block state strings like "oak_log[axis=z]", in the region's x, z, y order
+function createRegion(position, size, blocks) {
+    const names = ['minecraft:air', ...new Set(blocks.filter(block => block !== 'minecraft:air'))];
+    const palette = names.map(name => {
+        const [, blockName, properties] = /^([^[]+)(?:\[(.*)\])?$/.exec(name);
+        const entry = { Name: { type: 'string', value: blockName } };
+        if (properties) {
+            entry.Properties = {
+                type: 'compound',
+                value: Object.fromEntries(properties.split(',').map(property => {
+                    const [key, value] = property.split('=');
+                    return [key, { type: 'string', value }];
+                }))
+            };
+        }
+        return entry;
+    });
+    const bits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+    return {
+        type: 'compound',
+        value: {
+            Position: vector(...position),
+            Size: vector(...size),
+            BlockStatePalette: { type: 'list', value: { type: 'compound', value: palette } },
+            BlockStates: { type: 'longArray', value: packLongs(blocks.map(block => names.indexOf(block)), bits) }
+        }
+    };
+}
+
+function createLitematic(regions) {
+    const root = {
+        Version: { type: 'int', value: 6 },
+        MinecraftDataVersion: { type: 'int', value: 3700 },
+        Metadata: { type: 'compound', value: { Name: { type: 'string', value: 'Test' } } },
+        Regions: { type: 'compound', value: regions }
+    };
+    return pako.gzip(new Uint8Array(nbt.writeUncompressed({ name: '', value: root }))).buffer;
+}
+
+test('regions with negative sizes extend backwards from their position', async () => {
+    const schematic = await parseSchematicData(createLitematic({
+        // Covers x 4 to 5 and z 0 to 1
+        Back: createRegion([5, 0, 0], [-2, 1, 2], ['minecraft:stone', 'minecraft:oak_log[axis=z]', 'minecraft:dirt', 'minecraft:air']),
+        Single: createRegion([1, 0, 1], [1, 1, 1], ['minecraft:glass'])
+    }), 'test.litematic');
+
+    assert.deepEqual([schematic.width, schematic.height, schematic.length], [5, 1, 2]);
+    assert.deepEqual(schematic.origin, [-1, 0, 0]);
+    assert.deepEqual(schematic.regions.map(region => [region.name, region.position, region.size]), [
+        ['Back', [4, 0, 0], [2, 1, 2]],
+        ['Single', [1, 0, 1], [1, 1, 1]]
+    ]);
+    const get = (x, y, z) => schematic.blocks.get(x, y, z).key;
+    assert.equal(get(3, 0, 0), 'minecraft:stone');
+    assert.equal(get(4, 0, 0), 'minecraft:oak_log[axis=z]');
+    assert.equal(get(3, 0, 1), 'minecraft:dirt');
+    assert.equal(get(4, 0, 1), 'minecraft:air');
+    assert.equal(get(0, 0, 1), 'minecraft:glass');
+});
+
+test('values span two longs, including the sign bit', async () => {
+    // 17 palette entries take 5 bits, so the 13th value starts at bit 60 and ends in the next long
+    const colors = ['white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+        'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'];
+    const blocks = colors.map(color => `minecraft:${color}_wool`);
+    const schematic = await parseSchematicData(createLitematic({
+        Row: createRegion([0, 0, 0], [16, 1, 1], blocks)
+    }), 'test.litematic');
+
+    assert.deepEqual(Array.from({ length: 16 }, (_, x) => schematic.blocks.get(x, 0, 0).name), blocks);
+});
+
+test('options.regions leaves out the other regions', async () => {
+    const schematic = await parseSchematicData(createLitematic({
+        First: createRegion([0, 0, 0], [1, 1, 1], ['minecraft:stone']),
+        Second: createRegion([3, 0, 0], [1, 1, 1], ['minecraft:dirt'])
+    }), 'test.litematic', { regions: ['Second'] });
+
+    assert.deepEqual([schematic.width, schematic.height, schematic.length], [1, 1, 1]);
+    assert.equal(schematic.blocks.get(0, 0, 0).name, 'minecraft:dirt');
+    assert.deepEqual(schematic.regions.map(region => region.enabled), [false, true]);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import nbt from '../src/lib/nbt.js';
+
+// See parser.test.js, the parser uses nbt.js as a global
+globalThis.nbt = nbt;
+const { default: parseSchematicData } = await import('../src/parser.js');
+
+const TAG_TYPES = { byte: 1, short: 2, int: 3, string: 8, list: 9, compound: 10 };
+
+// nbt.js only writes big-endian NBT, Bedrock files are little-endian. Enough of a writer for the tags here
+function writeLittleEndian(name, value) {
+    const bytes = [];
+    const writeInt = (int, size) => {
+        for (let i = 0; i < size; i++) {
+            bytes.push((int >> (i * 8)) & 0xFF);
+        }
+    };
+    const writeString = string => {
+        const encoded = new TextEncoder().encode(string);
+        writeInt(encoded.length, 2);
+        bytes.push(...encoded);
+    };
+    const writePayload = (type, payload) => {
+        switch (type) {
+            case 'byte': writeInt(payload, 1); break;
+            case 'short': writeInt(payload, 2); break;
+            case 'int': writeInt(payload, 4); break;
+            case 'string': writeString(payload); break;
+            case 'list':
+                writeInt(TAG_TYPES[payload.type], 1);
+                writeInt(payload.value.length, 4);
+                payload.value.forEach(item => writePayload(payload.type, item));
+                break;
+            case 'compound':
+                for (const [key, tag] of Object.entries(payload)) {
+                    writeInt(TAG_TYPES[tag.type], 1);
+                    writeString(key);
+                    writePayload(tag.type, tag.value);
+                }
+                writeInt(0, 1);
+                break;
+        }
+    };
+    writeInt(TAG_TYPES.compound, 1);
+    writeString(name);
+    writePayload('compound', value);
+    return new Uint8Array(bytes).buffer;
+}
+
+function intList(values) {
+    return { type: 'list', value: { type: 'int', value: values } };
+}
+
+function createEntry(name, states = {}) {
+    return {
+        name: { type: 'string', value: name },
+        states: { type: 'compound', value: states },
+        version: { type: 'int', value: 18090528 }
+    };
+}
+
+// A 2x1x2 structure. Bedrock orders blocks with z fastest, then y, then x: index 1 is x 0, z 1
+function createMcstructure() {
+    const palette = [
+        createEntry('minecraft:stone'),
+        createEntry('minecraft:oak_stairs', {
+            weirdo_direction: { type: 'int', value: 2 },
+            upside_down_bit: { type: 'byte', value: 1 }
+        }),
+        createEntry('minecraft:water', { liquid_depth: { type: 'int', value: 0 } })
+    ];
+    const root = {
+        format_version: { type: 'int', value: 1 },
+        size: intList([2, 1, 2]),
+        structure: {
+            type: 'compound',
+            value: {
+                // Index 2 is a structure void, and the stairs at index 1 have water in the second layer
+                block_indices: { type: 'list', value: { type: 'list', value: [
+                    { type: 'int', value: [0, 1, -1, 1] },
+                    { type: 'int', value: [-1, 2, -1, -1] }
+                ] } },
+                entities: { type: 'list', value: { type: 'compound', value: [] } },
+                palette: {
+                    type: 'compound',
+                    value: {
+                        default: {
+                            type: 'compound',
+                            value: {
+                                block_palette: { type: 'list', value: { type: 'compound', value: palette } },
+                                block_position_data: {
+                                    type: 'compound',
+                                    value: {
+                                        3: {
+                                            type: 'compound',
+                                            value: {
+                                                block_entity_data: {
+                                                    type: 'compound',
+                                                    value: { id: { type: 'string', value: 'Sign' } }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        structure_world_origin: intList([10, 64, -20])
+    };
+    return writeLittleEndian('', root);
+}
+
+test('little-endian structures read blocks in x, y, z order', async () => {
+    const schematic = await parseSchematicData(createMcstructure(), 'test.mcstructure');
+
+    assert.deepEqual([schematic.width, schematic.height, schematic.length], [2, 1, 2]);
+    assert.equal(schematic.blocks.get(0, 0, 0).name, 'minecraft:stone');
+    assert.equal(schematic.blocks.get(1, 0, 0).name, 'minecraft:air');
+    assert.equal(schematic.blocks.get(1, 0, 1).key, 'minecraft:oak_stairs[facing=south,half=top]');
+    assert.deepEqual(schematic.offset, [10, 64, -20]);
+});
+
+test('water in the second layer makes blocks waterlogged', async () => {
+    const schematic = await parseSchematicData(createMcstructure(), 'test.mcstructure');
+
+    assert.equal(schematic.blocks.get(0, 0, 1).key, 'minecraft:oak_stairs[facing=south,half=top,waterlogged=true]');
+    assert.equal(schematic.blocks.get(1, 0, 1).get('waterlogged'), undefined);
+});
+
+test('block entities are placed by their index', async () => {
+    const schematic = await parseSchematicData(createMcstructure(), 'test.mcstructure');
+
+    assert.deepEqual(schematic.blockEntities.map(blockEntity => [blockEntity.pos, blockEntity.id]), [[[1, 0, 1], 'Sign']]);
+});
+
+test('the byte order is found from the data without the file name', async () => {
+    const schematic = await parseSchematicData(createMcstructure());
+
+    assert.equal(schematic.format, 'mcstructure');
+    assert.equal(schematic.blocks.get(1, 0, 1).key, 'minecraft:oak_stairs[facing=south,half=top]');
+});
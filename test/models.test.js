@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from '../src/lib/three.js';
+import loadModel, { selectVariant } from '../src/models.js';
+
+globalThis.createImageBitmap = async () => ({ width: 16, height: 16 });
+
+const FACES = ['north', 'south', 'east', 'west', 'up', 'down'];
+
+// An element like the top step of a stair, small enough that every face uses part of the texture
+const ELEMENT = { from: [8, 8, 0], to: [16, 16, 10] };
+
+function createElement({ from, to }) {
+    return { from, to, faces: Object.fromEntries(FACES.map(face => [face, { texture: '#all' }])) };
+}
+
+// Where an element ends up with a blockstate's x and y rotation, as the model renderer turns it
+function rotateElement({ from, to }, x, y) {
+    const rotation = new THREE.Matrix4().makeRotationY(-y * Math.PI / 180)
+        .multiply(new THREE.Matrix4().makeRotationX(-x * Math.PI / 180));
+    const corners = [from, to].map(corner => new THREE.Vector3(...corner).subScalar(8).applyMatrix4(rotation).addScalar(8).round());
+    return {
+        from: [0, 1, 2].map(axis => Math.min(corners[0].getComponent(axis), corners[1].getComponent(axis))),
+        to: [0, 1, 2].map(axis => Math.max(corners[0].getComponent(axis), corners[1].getComponent(axis)))
+    };
+}
+
+function createPack(variants) {
+    const pack = {
+        'assets/minecraft/blockstates/test.json': { variants },
+        'assets/minecraft/textures/block/test.png': new Uint8Array(1)
+    };
+    return new Map(Object.entries(pack));
+}
+
+function addModel(pack, name, element) {
+    pack.set(`assets/minecraft/models/block/${name}.json`, { textures: { all: 'block/test' }, elements: [createElement(element)] });
+}
+
+// The texture coordinates of every face corner, keyed by the face's direction and the corner's position
+function getFaceUVs(model) {
+    const uvs = new Map();
+    const { geometry } = model.variants[0].group.children[0];
+    const { position, normal, uv } = geometry.attributes;
+    for (let i = 0; i < position.count; i++) {
+        const key = [normal, position].map(attribute => [attribute.getX(i), attribute.getY(i), attribute.getZ(i)].map(value => Math.round(value * 16)).join(',')).join('/');
+        uvs.set(key, [uv.getX(i), uv.getY(i)].map(value => Math.round(value * 16 * 1000) / 1000));
+    }
+    return uvs;
+}
+
+// With uvlock, a rotated model's textures line up with the world: every face shows the same part of the
+// texture as an unrotated element in the same place
+for (const [x, y] of [[0, 90], [0, 180], [0, 270], [90, 0], [90, 90], [180, 270], [270, 180]]) {
+    test(`uvlock keeps textures aligned with the world for x=${x}, y=${y}`, async () => {
+        const pack = createPack({ 'rotated=true': { model: 'block/rotated', x, y, uvlock: true }, 'rotated=false': { model: 'block/placed' } });
+        addModel(pack, 'rotated', ELEMENT);
+        addModel(pack, 'placed', rotateElement(ELEMENT, x, y));
+
+        const rotated = await loadModel({ name: 'test', properties: { rotated: 'true' } }, pack);
+        const placed = await loadModel({ name: 'test', properties: { rotated: 'false' } }, pack);
+
+        assert.deepEqual(getFaceUVs(rotated), getFaceUVs(placed));
+    });
+}
+
+test('y-rotated side faces with uvlock use the area the face covers in the world', async () => {
+    const pack = createPack({ '': { model: 'block/rotated', y: 90, uvlock: true } });
+    addModel(pack, 'rotated', ELEMENT);
+    const model = await loadModel('test', pack);
+
+    const { geometry } = model.variants[0].group.children[0];
+    const { normal, uv } = geometry.attributes;
+    // The north face turns to face east, where it covers z 8 to 16 and y 8 to 16: the same area as an east face there
+    const us = [];
+    const vs = [];
+    for (let i = 0; i < normal.count; i++) {
+        if (Math.round(normal.getX(i)) === 1) {
+            us.push(Math.round(uv.getX(i) * 16));
+            vs.push(Math.round((1 - uv.getY(i)) * 16));
+        }
+    }
+    assert.deepEqual([Math.min(...us), Math.max(...us)], [0, 8]);
+    assert.deepEqual([Math.min(...vs), Math.max(...vs)], [0, 8]);
+});
+
+function createWeightedModel(weights) {
+    return { variants: weights.map(weight => ({ weight })), totalWeight: weights.reduce((sum, weight) => sum + weight, 0) };
+}
+
+// At 0, 0, 0 the position seed is 0, and java.util.Random with seed 0 gives 60 for nextInt(100) and 11
+// for nextInt(16)
+test('weighted variants are picked like java.util.Random', () => {
+    assert.equal(selectVariant(createWeightedModel([60, 40]), 0, 0, 0), 1);
+    assert.equal(selectVariant(createWeightedModel([61, 39]), 0, 0, 0), 0);
+    assert.equal(selectVariant(createWeightedModel(new Array(16).fill(1)), 0, 0, 0), 11);
+});
+
+test('weighted variants are seeded by position like the game', () => {
+    const positions = [[1, 64, 1], [-5, 70, 12], [100, -20, -3], [12345, 7, -6789]];
+    assert.deepEqual(positions.map(([x, y, z]) => selectVariant(createWeightedModel([1, 1, 1, 1]), x, y, z)), [1, 1, 2, 1]);
+    assert.deepEqual(positions.map(([x, y, z]) => selectVariant(createWeightedModel([1, 1, 1]), x, y, z)), [1, 2, 1, 2]);
+    assert.deepEqual(positions.map(([x, y, z]) => selectVariant(createWeightedModel([5, 1, 4]), x, y, z)), [0, 1, 2, 0]);
+});
+
+// A pack with a blockstate for the block "test", and models named by how many elements they have, so
+// the number of meshes in a loaded group tells which models it was built from
+function createBlockstatePack(blockstate, modelSizes) {
+    const pack = createPack({});
+    pack.set('assets/minecraft/blockstates/test.json', blockstate);
+    for (const size of modelSizes) {
+        pack.set(`assets/minecraft/models/block/elements_${size}.json`, {
+            textures: { all: 'block/test' },
+            elements: new Array(size).fill(0).map(() => createElement({ from: [0, 0, 0], to: [16, 16, 16] }))
+        });
+    }
+    return pack;
+}
+
+test('variant keys match the block properties in any order', async () => {
+    const pack = createBlockstatePack({
+        variants: {
+            'facing=east,half=bottom': { model: 'block/elements_1' },
+            'half=top,facing=north': { model: 'block/elements_2' },
+            'facing=north,half=bottom': { model: 'block/elements_3' }
+        }
+    }, [1, 2, 3]);
+    const load = async properties => (await loadModel({ name: 'test', properties }, pack)).variants[0].group.children.length;
+
+    assert.equal(await load({ facing: 'north', half: 'top' }), 2);
+    assert.equal(await load({ half: 'bottom', facing: 'north' }), 3);
+    assert.equal(await load({ half: 'bottom', facing: 'east', waterlogged: 'false' }), 1);
+    // Blocks missing properties fall back to the first variant
+    assert.equal(await load({}), 1);
+});
+
+test('multipart blocks are built from every part whose condition matches', async () => {
+    const pack = createBlockstatePack({
+        multipart: [
+            { apply: { model: 'block/elements_1' } },
+            { when: { north: 'true' }, apply: { model: 'block/elements_2' } },
+            { when: { OR: [{ east: 'true' }, { west: 'true' }] }, apply: { model: 'block/elements_3' } },
+            { when: { south: 'side|up' }, apply: [{ model: 'block/elements_4' }, { model: 'block/elements_1' }] },
+            { when: { AND: [{ north: 'true' }, { south: 'none' }] }, apply: { model: 'block/elements_5' } }
+        ]
+    }, [1, 2, 3, 4, 5]);
+    const load = async properties => (await loadModel({ name: 'test', properties }, pack)).variants[0].group.children.length;
+
+    assert.equal(await load({ north: 'false', east: 'false', west: 'false', south: 'none' }), 1);
+    assert.equal(await load({ north: 'true', east: 'false', west: 'false', south: 'none' }), 1 + 2 + 5);
+    assert.equal(await load({ north: 'false', east: 'false', west: 'true', south: 'up' }), 1 + 3 + 4);
+    assert.equal(await load({ north: 'true', east: 'true', west: 'false', south: 'side' }), 1 + 2 + 3 + 4);
+});
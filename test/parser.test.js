@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as pako from '../src/lib/pako.js';
+import nbt from '../src/lib/nbt.js';
+
+// In the browser nbt.js sets itself up as the global nbt, which the parser uses. Node loads it as a
+// CommonJS module instead, so its exports have to be made global before the parser is loaded
+globalThis.nbt = nbt;
+const { default: parseSchematicData } = await import('../src/parser.js');
+
+function createSchem(version, blockData, extra = {}) {
+    const root = {
+        Version: { type: 'int', value: version },
+        DataVersion: { type: 'int', value: 3700 },
+        Width: { type: 'short', value: 2 },
+        Height: { type: 'short', value: 1 },
+        Length: { type: 'short', value: 1 },
+        ...extra
+    };
+    const palette = {
+        type: 'compound',
+        value: { 'minecraft:stone': { type: 'int', value: 0 }, 'minecraft:dirt': { type: 'int', value: 1 } }
+    };
+    const data = { type: 'byteArray', value: blockData };
+    if (version === 3) {
+        root.Blocks = { type: 'compound', value: { Palette: palette, Data: data } };
+    } else {
+        root.Palette = palette;
+        root.BlockData = data;
+    }
+    const value = version === 3 ? { Schematic: { type: 'compound', value: root } } : root;
+    return pako.gzip(new Uint8Array(nbt.writeUncompressed({ name: '', value }))).buffer;
+}
+
+test('block ids past the palette are shown as air instead of wrapping around', async () => {
+    // 65536 as a varint, in the signed bytes nbt.js uses, which a 16-bit index would wrap to 0
+    const schematic = await parseSchematicData(createSchem(3, [-128, -128, 4, 1]), 'test.schem');
+
+    assert.equal(schematic.blocks.get(0, 0, 0).name, 'minecraft:air');
+    assert.equal(schematic.blocks.get(1, 0, 0).name, 'minecraft:dirt');
+});
+
+test('v3 schematics read the origin from the WorldEdit metadata', async () => {
+    const schematic = await parseSchematicData(createSchem(3, [0, 1], {
+        Offset: { type: 'intArray', value: [-2, -1, -3] },
+        Metadata: {
+            type: 'compound',
+            value: { WorldEdit: { type: 'compound', value: { Origin: { type: 'intArray', value: [100, 64, 200] } } } }
+        }
+    }), 'test.schem');
+
+    assert.deepEqual(schematic.offset, [98, 63, 197]);
+    assert.deepEqual(schematic.origin, [2, 1, 3]);
+});
+
+test('v2 schematics read the origin from WEOffset', async () => {
+    const schematic = await parseSchematicData(createSchem(2, [0, 1], {
+        Offset: { type: 'intArray', value: [98, 63, 197] },
+        Metadata: {
+            type: 'compound',
+            value: {
+                WEOffsetX: { type: 'int', value: -2 },
+                WEOffsetY: { type: 'int', value: -1 },
+                WEOffsetZ: { type: 'int', value: -3 }
+            }
+        }
+    }), 'test.schem');
+
+    assert.deepEqual(schematic.offset, [98, 63, 197]);
+    assert.deepEqual(schematic.origin, [2, 1, 3]);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import loadModel from '../src/models.js';
+import getResourceSource, { readResources } from '../src/resources.js';
+
+// Textures are decoded with createImageBitmap, which Node doesn't have. Tell them apart by their size
+globalThis.createImageBitmap = async blob => ({ width: 16, height: 16, size: blob.size });
+
+function createPack(textureSize) {
+    return {
+        'assets/minecraft/blockstates/stone.json': { variants: { '': { model: 'block/stone' } } },
+        'assets/minecraft/models/block/stone.json': {
+            textures: { all: 'block/stone' },
+            elements: [{ from: [0, 0, 0], to: [16, 16, 16], faces: { up: { texture: '#all' } } }]
+        },
+        'assets/minecraft/textures/block/stone.png': new Uint8Array(textureSize)
+    };
+}
+
+function getTextureSize(model) {
+    const materials = model.variants[0].group.children[0].material;
+    return materials.find(material => material !== null).map.image.size;
+}
+
+test('concurrent loads with different packs keep their own assets and origins', async () => {
+    const first = await readResources([createPack(1), {}]);
+    const second = await readResources([{}, createPack(2)]);
+    first[0].name = 'first';
+    second[1].name = 'second';
+
+    const [firstModel, secondModel] = await Promise.all([loadModel('stone', first), loadModel('stone', second)]);
+
+    assert.equal(getTextureSize(firstModel), 1);
+    assert.equal(getTextureSize(secondModel), 2);
+    const paths = [
+        'assets/minecraft/blockstates/stone.json',
+        'assets/minecraft/models/block/stone.json',
+        'assets/minecraft/textures/block/stone.png'
+    ];
+    assert.deepEqual(paths.map(path => getResourceSource(first).origins.get(path)), ['first', 'first', 'first']);
+    assert.deepEqual(paths.map(path => getResourceSource(second).origins.get(path)), ['second', 'second', 'second']);
+});
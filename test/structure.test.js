@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as pako from '../src/lib/pako.js';
+import nbt from '../src/lib/nbt.js';
+
+// See parser.test.js, the parser uses nbt.js as a global
+globalThis.nbt = nbt;
+const { default: parseSchematicData } = await import('../src/parser.js');
+
+function intList(values) {
+    return { type: 'list', value: { type: 'int', value: values } };
+}
+
+function createPalette(entries) {
+    return entries.map(([name, properties = {}]) => ({
+        Name: { type: 'string', value: name },
+        Properties: {
+            type: 'compound',
+            value: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, { type: 'string', value }]))
+        }
+    }));
+}
+
+// A 3x1x1 structure with a chest, a block entity, and a structure void left out of blocks
+function createStructure(palettes) {
+    const root = {
+        DataVersion: { type: 'int', value: 3700 },
+        size: intList([3, 1, 1]),
+        blocks: {
+            type: 'list',
+            value: {
+                type: 'compound',
+                value: [
+                    { pos: intList([0, 0, 0]), state: { type: 'int', value: 1 } },
+                    {
+                        pos: intList([2, 0, 0]),
+                        state: { type: 'int', value: 0 },
+                        nbt: {
+                            type: 'compound',
+                            value: {
+                                id: { type: 'string', value: 'minecraft:chest' },
+                                CustomName: { type: 'string', value: '"Loot"' }
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        entities: { type: 'list', value: { type: 'compound', value: [] } }
+    };
+    if (palettes.length === 1) {
+        root.palette = { type: 'list', value: { type: 'compound', value: palettes[0] } };
+    } else {
+        root.palettes = {
+            type: 'list',
+            value: { type: 'list', value: palettes.map(palette => ({ type: 'compound', value: palette })) }
+        };
+    }
+    return pako.gzip(new Uint8Array(nbt.writeUncompressed({ name: '', value: root }))).buffer;
+}
+
+test('blocks are placed from the palette, and positions not listed are air', async () => {
+    const schematic = await parseSchematicData(createStructure([
+        createPalette([['minecraft:chest', { facing: 'west', type: 'single', waterlogged: 'false' }], ['minecraft:stone']])
+    ]), 'test.nbt');
+
+    assert.deepEqual([schematic.width, schematic.height, schematic.length], [3, 1, 1]);
+    assert.deepEqual([0, 1, 2].map(x => schematic.blocks.get(x, 0, 0).key), [
+        'minecraft:stone',
+        'minecraft:air',
+        'minecraft:chest[facing=west,type=single,waterlogged=false]'
+    ]);
+});
+
+test('block entities are kept with their position and id', async () => {
+    const schematic = await parseSchematicData(createStructure([
+        createPalette([['minecraft:chest', { facing: 'west' }], ['minecraft:stone']])
+    ]), 'test.nbt');
+
+    assert.equal(schematic.blockEntities.length, 1);
+    const [blockEntity] = schematic.blockEntities;
+    assert.deepEqual(blockEntity.pos, [2, 0, 0]);
+    assert.equal(blockEntity.id, 'minecraft:chest');
+    assert.equal(blockEntity.data.CustomName.value, '"Loot"');
+});
+
+test('options.palette picks one of several palettes', async () => {
+    const buffer = createStructure([
+        createPalette([['minecraft:chest', { facing: 'west' }], ['minecraft:oak_planks']]),
+        createPalette([['minecraft:barrel', { facing: 'up' }], ['minecraft:spruce_planks']])
+    ]);
+
+    const first = await parseSchematicData(buffer, 'test.nbt');
+    const second = await parseSchematicData(buffer, 'test.nbt', { palette: 1 });
+
+    assert.equal(first.palettes, 2);
+    assert.equal(first.blocks.get(0, 0, 0).name, 'minecraft:oak_planks');
+    assert.equal(second.palette, 1);
+    assert.equal(second.blocks.get(0, 0, 0).name, 'minecraft:spruce_planks');
+    assert.equal(second.blocks.get(2, 0, 0).key, 'minecraft:barrel[facing=up]');
+    await assert.rejects(parseSchematicData(buffer, 'test.nbt', { palette: 2 }), /Invalid palette index 2/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BlockState from '../src/blockstate.js';
+import upgradeBlock, { SPONGE_V1_DATA_VERSION } from '../src/upgrade.js';
+
+function upgrade(block, dataVersion) {
+    return upgradeBlock(BlockState.parse(block), dataVersion).key;
+}
+
+test('1.14 gave signs wood types and renamed the stone slab', () => {
+    assert.equal(upgrade('sign[rotation=4]', 1951), 'minecraft:oak_sign[rotation=4]');
+    assert.equal(upgrade('wall_sign[facing=east]', 1951), 'minecraft:oak_wall_sign[facing=east]');
+    assert.equal(upgrade('stone_slab[type=top]', 1951), 'minecraft:smooth_stone_slab[type=top]');
+    // Saved by 1.14, where stone_slab is the new stone slab
+    assert.equal(upgrade('stone_slab[type=top]', 1952), 'minecraft:stone_slab[type=top]');
+});
+
+test('1.16 walls are low or none on each side, and jigsaws have an orientation', () => {
+    assert.equal(upgrade('cobblestone_wall[east=true,north=false,up=true]', 2565),
+        'minecraft:cobblestone_wall[east=low,north=none,up=true]');
+    assert.equal(upgrade('cobblestone_wall[east=tall,up=true]', 2565), 'minecraft:cobblestone_wall[east=tall,up=true]');
+    assert.equal(upgrade('cobblestone_wall[east=true]', 2566), 'minecraft:cobblestone_wall[east=true]');
+    assert.equal(upgrade('jigsaw[facing=down]', 2565), 'minecraft:jigsaw[orientation=down_south]');
+    assert.equal(upgrade('jigsaw[facing=west]', 2565), 'minecraft:jigsaw[orientation=west_up]');
+});
+
+test('1.17 renamed grass paths, and cauldrons holding water became water cauldrons', () => {
+    assert.equal(upgrade('grass_path', 2723), 'minecraft:dirt_path');
+    assert.equal(upgrade('cauldron[level=0]', 2723), 'minecraft:cauldron');
+    assert.equal(upgrade('cauldron[level=2]', 2723), 'minecraft:water_cauldron[level=2]');
+    assert.equal(upgrade('grass_path', 2724), 'minecraft:grass_path');
+});
+
+test('1.20.3 grass is short grass, and 1.21.9 chains are iron chains', () => {
+    assert.equal(upgrade('grass', 3697), 'minecraft:short_grass');
+    assert.equal(upgrade('grass', 3698), 'minecraft:grass');
+    assert.equal(upgrade('chain[axis=y]', 4553), 'minecraft:iron_chain[axis=y]');
+    assert.equal(upgrade('chain[axis=y]', 4554), 'minecraft:chain[axis=y]');
+});
+
+test('old blocks go through every rule since they were saved', () => {
+    assert.equal(upgrade('grass', SPONGE_V1_DATA_VERSION), 'minecraft:short_grass');
+    assert.equal(upgrade('andesite_wall[south=true]', SPONGE_V1_DATA_VERSION), 'minecraft:andesite_wall[south=low]');
+});
+
+test('modded blocks and blocks without a data version are left alone', () => {
+    assert.equal(upgrade('somemod:grass_path', 1519), 'somemod:grass_path');
+    assert.equal(upgrade('grass_path', undefined), 'minecraft:grass_path');
+});